@@ -1,323 +1,2050 @@
-import { useEffect, useMemo, useState } from 'react';
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
 import './App.css';
 
 const API_BASE = import.meta.env.VITE_API_BASE || '';
 
-const fetchJson = async (url, options, token) => {
-  const res = await fetch(url, {
-    ...options,
-    headers: {
-      ...(options?.headers || {}),
-      ...(token ? { Authorization: `Bearer ${token}` } : {}),
-    },
+// Access tokens expire after a few minutes; the refresh token stored next to them is traded
+// for a new pair. Each refresh token works once, so concurrent 401s share a single refresh.
+const SESSION_EXPIRED = 'session-expired';
+let pendingRefresh = null;
+
+const storeTokens = ({ token, refreshToken }) => {
+  localStorage.setItem('token', token);
+  localStorage.setItem('refreshToken', refreshToken);
+};
+
+const clearTokens = () => {
+  localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
+};
+
+// Resolves to the new access token, or null when the server no longer accepts the session
+const refreshSession = () => {
+  pendingRefresh ??= (async () => {
+    const refreshToken = localStorage.getItem('refreshToken');
+    if (!refreshToken) return null;
+    const res = await fetch(`${API_BASE}/api/auth/refresh`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ refreshToken }),
+    });
+    if (!res.ok) return null;
+    const tokens = await res.json();
+    storeTokens(tokens);
+    return tokens.token;
+  })().finally(() => {
+    pendingRefresh = null;
   });
+  return pendingRefresh;
+};
+
+const fetchJson = async (url, options, token) => {
+  const send = (accessToken) =>
+    fetch(url, {
+      ...options,
+      headers: {
+        ...(options?.headers || {}),
+        ...(accessToken ? { Authorization: `Bearer ${accessToken}` } : {}),
+      },
+    });
+  // Callers hold the token from login; the stored one is newer once it has been refreshed
+  const sent = token && (localStorage.getItem('token') || token);
+  let res = await send(sent);
+  if (res.status === 401 && sent) {
+    const stored = localStorage.getItem('token');
+    const fresh = stored && stored !== sent ? stored : await refreshSession();
+    if (fresh) res = await send(fresh);
+    else window.dispatchEvent(new Event(SESSION_EXPIRED));
+  }
   if (!res.ok) {
     const body = await res.json().catch(() => ({}));
     throw new Error(body.error || 'Request failed');
   }
+  if (res.status === 204) return null;
   return res.json();
 };
 
-function App() {
-  const [user, setUser] = useState(null);
-  const [token, setToken] = useState(() => localStorage.getItem('token') || '');
-  const [items, setItems] = useState([]);
-  const [available, setAvailable] = useState([]);
-  const [categories, setCategories] = useState([]);
-  const [expiring, setExpiring] = useState([]);
-  const [groups, setGroups] = useState([]);
-  const [selectedGroup, setSelectedGroup] = useState('');
-  const [groupItems, setGroupItems] = useState([]);
-  const [ownerClaims, setOwnerClaims] = useState([]);
-  const [myClaims, setMyClaims] = useState([]);
-  const [shareLink, setShareLink] = useState('');
-  const [error, setError] = useState('');
-  const [groupMessages, setGroupMessages] = useState([]);
-  const [newMessage, setNewMessage] = useState('');
+const UNIT_LABELS = { PCS: 'buc', G: 'g', KG: 'kg', ML: 'ml', L: 'L' };
 
-  const [authMode, setAuthMode] = useState('login');
-  const [authForm, setAuthForm] = useState({ name: '', email: '', password: '' });
-  const [newItem, setNewItem] = useState({ title: '', categoryId: '', expiresAt: '' });
-  const [newGroup, setNewGroup] = useState({ name: '' });
-  const [newMember, setNewMember] = useState({ userId: '', tag: '', groupId: '' });
-  const [memberSearch, setMemberSearch] = useState('');
-  const [memberResults, setMemberResults] = useState([]);
-  const [newClaim, setNewClaim] = useState({ itemId: '' });
-  const [loading, setLoading] = useState(false);
-  const inviteBase = typeof window !== 'undefined' ? window.location.origin : '';
+const DIET_LABELS = {
+  VEGETARIAN: 'Vegetarian',
+  VEGAN: 'Vegan',
+  GLUTEN_FREE: 'Fără gluten',
+  LACTOSE_FREE: 'Fără lactoză',
+};
+
+const ALLERGEN_LABELS = {
+  GLUTEN: 'Gluten',
+  LACTOSE: 'Lactoză',
+  NUTS: 'Nuci',
+  PEANUTS: 'Arahide',
+  EGGS: 'Ouă',
+  SOY: 'Soia',
+  FISH: 'Pește',
+  SHELLFISH: 'Fructe de mare',
+};
 
-  const availableItems = useMemo(() => available, [available]);
+const tagLabel = (tag) => DIET_LABELS[tag] || ALLERGEN_LABELS[tag] || tag;
 
-  const loadAll = async (activeToken = token) => {
-    setLoading(true);
+const STORAGE_LABELS = { FRIDGE: 'Frigider', FREEZER: 'Congelator', PANTRY: 'Cămară' };
+
+// Estimated dates are shown with a marker so they are not mistaken for the label on the package
+const formatExpiry = (item) => {
+  if (!item.expiresAt) return 'n/a';
+  const date = new Date(item.expiresAt).toLocaleDateString();
+  return item.expiresEstimated ? `~${date} (estimat)` : date;
+};
+
+const VISIBILITY_LABELS = {
+  PUBLIC: 'Public (oricine)',
+  GROUPS: 'Doar grupurile în care îl trimit',
+  PRIVATE: 'Privat (doar eu)',
+};
+
+const STATUS_FILTERS = {
+  active: { label: 'Active', value: 'IN_FRIDGE,AVAILABLE,CLAIMED' },
+  IN_FRIDGE: { label: 'În frigider', value: 'IN_FRIDGE' },
+  AVAILABLE: { label: 'Disponibile', value: 'AVAILABLE' },
+  CLAIMED: { label: 'Revendicate', value: 'CLAIMED' },
+  closed: { label: 'Închise', value: 'CONSUMED,DONATED,WASTED' },
+  all: { label: 'Toate', value: '' },
+};
+
+const SORT_OPTIONS = {
+  newest: 'Cele mai noi',
+  oldest: 'Cele mai vechi',
+  expiry: 'Expiră primele',
+  'expiry-desc': 'Expiră ultimele',
+  title: 'Alfabetic',
+};
+
+const RADIUS_OPTIONS = [2, 5, 10, 25, 50];
+
+const DEFAULT_ITEM_FILTERS = { q: '', categoryId: '', status: 'active', sort: 'newest', scope: 'mine' };
+
+// Pickers (group share, social share) offer every active own or household item, whatever the
+// fridge list currently shows
+const PICKER_ITEM_FILTERS = { ...DEFAULT_ITEM_FILTERS, scope: 'all' };
+
+const SCOPE_LABELS = { mine: 'Doar ale mele', household: 'Frigiderul comun', all: 'Ale mele și comune' };
+const DEFAULT_AVAILABLE_FILTERS = { q: '', categoryId: '', sort: 'newest', radiusKm: '', suitsMe: false };
+
+const hasLocation = (u) => u?.latitude != null && u?.longitude != null;
+
+// Query string for the paginated item listings; a radius searches around the user's saved location
+const listQuery = (filters, cursor, origin) => {
+  const params = new URLSearchParams();
+  if (filters.radiusKm && hasLocation(origin)) {
+    params.set('lat', origin.latitude);
+    params.set('lng', origin.longitude);
+    params.set('radiusKm', filters.radiusKm);
+  }
+  if (filters.q.trim()) params.set('q', filters.q.trim());
+  if (filters.categoryId) params.set('categoryId', filters.categoryId);
+  if (filters.suitsMe) params.set('suitsMe', '1');
+  if (filters.scope && filters.scope !== 'mine') params.set('scope', filters.scope);
+  if (filters.status && STATUS_FILTERS[filters.status].value) params.set('status', STATUS_FILTERS[filters.status].value);
+  params.set('sort', filters.sort === 'distance' && !params.has('lat') ? 'newest' : filters.sort);
+  if (cursor) params.set('cursor', cursor);
+  return `?${params}`;
+};
+
+const CLAIM_CHAT_POLL_MS = 15000;
+
+// Every page of an item listing, fetched 100 at a time
+const fetchAllItems = async (filters, token) => {
+  const items = [];
+  let cursor = null;
+  do {
+    const page = await fetchJson(`${API_BASE}/api/items${listQuery(filters, cursor)}&limit=100`, {}, token);
+    items.push(...page.items);
+    cursor = page.nextCursor;
+  } while (cursor);
+  return items;
+};
+
+// Private thread between the owner and the claimer of one claim; polls while it is open
+function ClaimChat({ claimId, token, userId, onError }) {
+  const [messages, setMessages] = useState([]);
+  const [cursor, setCursor] = useState(null);
+  const [draft, setDraft] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+    const refresh = async () => {
+      try {
+        const page = await fetchJson(`${API_BASE}/api/claims/${claimId}/messages`, {}, token);
+        if (cancelled) return;
+        // Keep older pages that were already loaded, replace the newest one
+        setMessages((prev) => {
+          const latest = [...page.messages].reverse();
+          const older = prev.filter((m) => latest.length === 0 || m.id < latest[0].id);
+          return [...older, ...latest];
+        });
+        setCursor((prev) => prev ?? page.nextCursor);
+      } catch (err) {
+        if (!cancelled) onError(err.message);
+      }
+    };
+    refresh();
+    const timer = setInterval(refresh, CLAIM_CHAT_POLL_MS);
+    return () => {
+      cancelled = true;
+      clearInterval(timer);
+    };
+  }, [claimId, token, onError]);
+
+  const loadOlder = async () => {
     try {
-      const [cats, it, exp, grp, avail, ownerCls, myCls] = await Promise.all([
-        fetchJson(`${API_BASE}/api/categories`, {}, activeToken),
-        fetchJson(`${API_BASE}/api/items`, {}, activeToken),
-        fetchJson(`${API_BASE}/api/items/expiring`, {}, activeToken),
-        fetchJson(`${API_BASE}/api/groups`, {}, activeToken),
-        fetchJson(`${API_BASE}/api/items/available`, {}, activeToken),
-        fetchJson(`${API_BASE}/api/claims/for-owner`, {}, activeToken),
-        fetchJson(`${API_BASE}/api/claims/mine`, {}, activeToken),
-      ]);
-      setCategories(cats);
-      setItems(it);
-      setExpiring(exp);
-      setGroups(grp);
-      setAvailable(avail);
-      setOwnerClaims(ownerCls);
-      setMyClaims(myCls);
-      setError('');
+      const page = await fetchJson(`${API_BASE}/api/claims/${claimId}/messages?cursor=${cursor}`, {}, token);
+      setMessages((prev) => [...[...page.messages].reverse(), ...prev]);
+      setCursor(page.nextCursor);
     } catch (err) {
-      console.error(err);
-      setError(err.message);
-    } finally {
-      setLoading(false);
+      onError(err.message);
     }
   };
 
-  const bootstrap = async (activeToken) => {
-    if (!activeToken) return;
+  const send = async (e) => {
+    e.preventDefault();
+    if (!draft.trim()) return;
     try {
-      const me = await fetchJson(`${API_BASE}/api/me`, {}, activeToken);
-      setUser(me);
-      await loadAll(activeToken);
+      const message = await fetchJson(`${API_BASE}/api/claims/${claimId}/messages`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ content: draft }),
+      }, token);
+      setMessages((prev) => [...prev, message]);
+      setDraft('');
     } catch (err) {
-      console.error(err);
-      setError(err.message);
-      setUser(null);
-      setToken('');
-      localStorage.removeItem('token');
+      onError(err.message);
     }
   };
 
+  return (
+    <div className="claim-chat">
+      {cursor && (
+        <button type="button" className="link" onClick={loadOlder}>
+          Mesaje mai vechi
+        </button>
+      )}
+      {messages.length === 0 ? (
+        <p className="muted">Niciun mesaj încă.</p>
+      ) : (
+        messages.map((m) => (
+          <div key={m.id} className={m.authorId === userId ? 'own' : ''}>
+            <div className="item-meta" style={{ fontSize: '12px' }}>
+              {m.author?.name || 'Utilizator'} • {new Date(m.createdAt).toLocaleString()}
+            </div>
+            <div>{m.content}</div>
+          </div>
+        ))
+      )}
+      <form className="form" onSubmit={send}>
+        <textarea value={draft} onChange={(e) => setDraft(e.target.value)} rows={2} placeholder="Scrie un mesaj" />
+        <button type="submit">Trimite</button>
+      </form>
+    </div>
+  );
+}
+
+// Booked pickup window of a claim, with rescheduling among the item's windows and calendar export
+function PickupSchedule({ claim, onReschedule, onExport }) {
+  const open = ['PENDING', 'ACCEPTED'].includes(claim.status);
+  const slots = claim.item?.pickupSlots || [];
+  if (!claim.pickupSlot && (!open || slots.length === 0)) return null;
+  return (
+    <div className="item-meta">
+      <span>Ridicare: {claim.pickupSlot ? formatSlot(claim.pickupSlot) : 'neprogramată'}</span>
+      {open && slots.length > 0 && (
+        <select value={claim.pickupSlotId || ''} onChange={(e) => e.target.value && onReschedule(claim.id, e.target.value)}>
+          <option value="">Alege interval</option>
+          {slots.map((slot) => (
+            <option key={slot.id} value={slot.id}>
+              {formatSlot(slot)}
+            </option>
+          ))}
+        </select>
+      )}
+      {claim.pickupSlot && claim.status !== 'CANCELLED' && claim.status !== 'REJECTED' && (
+        <button type="button" className="link" onClick={() => onExport(claim.id)}>
+          Adaugă în calendar
+        </button>
+      )}
+    </div>
+  );
+}
+
+function ItemFilters({ filters, categories, onChange, onSubmit, nearby = false, household = false }) {
+  return (
+    <form
+      className="filters"
+      onSubmit={(e) => {
+        e.preventDefault();
+        onSubmit(filters);
+      }}
+    >
+      <input
+        value={filters.q}
+        onChange={(e) => onChange({ ...filters, q: e.target.value })}
+        placeholder="Caută produs"
+      />
+      <select value={filters.categoryId} onChange={(e) => onSubmit({ ...filters, categoryId: e.target.value })}>
+        <option value="">Toate categoriile</option>
+        {categories.map((c) => (
+          <option key={c.id} value={c.id}>
+            {categoryLabel(c)}
+          </option>
+        ))}
+      </select>
+      {filters.status !== undefined && (
+        <select value={filters.status} onChange={(e) => onSubmit({ ...filters, status: e.target.value })}>
+          {Object.entries(STATUS_FILTERS).map(([value, { label }]) => (
+            <option key={value} value={value}>
+              {label}
+            </option>
+          ))}
+        </select>
+      )}
+      {household && (
+        <select value={filters.scope} onChange={(e) => onSubmit({ ...filters, scope: e.target.value })}>
+          {Object.entries(SCOPE_LABELS).map(([value, label]) => (
+            <option key={value} value={value}>
+              {label}
+            </option>
+          ))}
+        </select>
+      )}
+      {nearby && (
+        <select
+          value={filters.radiusKm}
+          onChange={(e) =>
+            onSubmit({
+              ...filters,
+              radiusKm: e.target.value,
+              sort: e.target.value ? 'distance' : filters.sort === 'distance' ? 'newest' : filters.sort,
+            })
+          }
+        >
+          <option value="">Oriunde</option>
+          {RADIUS_OPTIONS.map((km) => (
+            <option key={km} value={km}>
+              Până la {km} km
+            </option>
+          ))}
+        </select>
+      )}
+      <select value={filters.sort} onChange={(e) => onSubmit({ ...filters, sort: e.target.value })}>
+        {Object.entries(SORT_OPTIONS).map(([value, label]) => (
+          <option key={value} value={value}>
+            {label}
+          </option>
+        ))}
+        {filters.radiusKm && <option value="distance">Cele mai apropiate</option>}
+      </select>
+      {filters.suitsMe !== undefined && (
+        <label className="checkbox">
+          <input
+            type="checkbox"
+            checked={filters.suitsMe}
+            onChange={(e) => onSubmit({ ...filters, suitsMe: e.target.checked })}
+          />
+          <span>Potrivite pentru mine</span>
+        </label>
+      )}
+      <button type="submit" className="ghost">
+        Caută
+      </button>
+    </form>
+  );
+}
+
+const BARCODE_FORMATS = ['ean_13', 'ean_8', 'upc_a', 'upc_e'];
+const canScanBarcodes = typeof window !== 'undefined' && 'BarcodeDetector' in window;
+
+// Camera preview that reports the first EAN/UPC code the browser's BarcodeDetector recognizes
+function BarcodeScanner({ onDetected, onClose, onError }) {
+  const video = useRef(null);
+
   useEffect(() => {
-    bootstrap(token);
-  }, [token]);
+    let stream = null;
+    let timer = null;
+    let stopped = false;
+    const detector = new window.BarcodeDetector({ formats: BARCODE_FORMATS });
+    const start = async () => {
+      try {
+        stream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } });
+        if (stopped) return;
+        video.current.srcObject = stream;
+        await video.current.play();
+        timer = setInterval(async () => {
+          const [code] = await detector.detect(video.current).catch(() => []);
+          if (code && !stopped) onDetected(code.rawValue);
+        }, 400);
+      } catch {
+        onError('Nu am putut porni camera');
+        onClose();
+      }
+    };
+    start();
+    return () => {
+      stopped = true;
+      clearInterval(timer);
+      stream?.getTracks().forEach((track) => track.stop());
+    };
+  }, [onDetected, onClose, onError]);
 
-  const handleAuth = async (e) => {
+  return (
+    <div className="barcode-scanner">
+      <video ref={video} muted playsInline />
+      <button type="button" className="ghost" onClick={onClose}>
+        Închide camera
+      </button>
+    </div>
+  );
+}
+
+const HOUSEHOLD_PERMISSION_LABELS = {
+  isAdmin: 'Administrează',
+  canShare: 'Oferă produse',
+  canManageClaims: 'Răspunde la claim-uri',
+};
+
+// The shared fridge: create one, or see its members; admins add members, change what each
+// may do and remove them, and anyone can leave
+function HouseholdPanel({ household, token, userId, onChange, onError }) {
+  const [name, setName] = useState('');
+  const [search, setSearch] = useState('');
+  const [results, setResults] = useState([]);
+  const me = household?.members.find((m) => m.userId === userId);
+
+  // Resolves to the updated household (null after a DELETE) or undefined when the request failed
+  const request = async (path, method, body) => {
+    try {
+      return await fetchJson(`${API_BASE}/api/household${path}`, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: body && JSON.stringify(body),
+      }, token);
+    } catch (err) {
+      onError(err.message);
+      return undefined;
+    }
+  };
+
+  const create = async (e) => {
     e.preventDefault();
-    setError('');
-    const { name, email, password } = authForm;
-    if (!email || !password || (authMode === 'register' && !name)) {
-      return setError('Completează câmpurile.');
+    const next = await request('', 'POST', { name });
+    if (next) {
+      setName('');
+      onChange(next);
     }
+  };
+
+  const findUsers = async (value) => {
+    setSearch(value);
+    if (value.trim().length < 2) return setResults([]);
     try {
-      const res = await fetchJson(`${API_BASE}/api/auth/${authMode}`, {
-        method: 'POST',
+      setResults(await fetchJson(`${API_BASE}/api/users/search?q=${encodeURIComponent(value.trim())}`, {}, token));
+    } catch (err) {
+      onError(err.message);
+    }
+  };
+
+  const addMember = async (id) => {
+    const next = await request('/members', 'POST', { userId: id });
+    if (next) {
+      setSearch('');
+      setResults([]);
+      onChange(next);
+    }
+  };
+
+  const setPermission = async (memberId, field, value) => {
+    const next = await request(`/members/${memberId}`, 'PATCH', { [field]: value });
+    if (next) onChange(next);
+  };
+
+  const remove = async (memberId) => {
+    const leaving = memberId === userId;
+    if (!window.confirm(leaving ? 'Părăsești gospodăria? Produsele adăugate de tine pleacă cu tine.' : 'Scoți membrul din gospodărie?')) return;
+    if ((await request(`/members/${memberId}`, 'DELETE')) === undefined) return;
+    if (leaving) return onChange(null);
+    onChange({ ...household, members: household.members.filter((m) => m.userId !== memberId) });
+  };
+
+  if (!household) {
+    return (
+      <form className="form" onSubmit={create} style={{ marginTop: '12px' }}>
+        <label>
+          <span>Împarți frigiderul cu alții? Creează o gospodărie</span>
+          <input value={name} onChange={(e) => setName(e.target.value)} placeholder="Ex: Apartamentul 12" required />
+        </label>
+        <button type="submit">Creează gospodăria</button>
+      </form>
+    );
+  }
+
+  return (
+    <div className="form" style={{ marginTop: '12px' }}>
+      <span>Gospodăria {household.name}</span>
+      <ul className="list">
+        {household.members.map((m) => (
+          <li key={m.userId} className="list-item">
+            <div className="item-title">{m.user.name}</div>
+            <div className="item-meta">
+              {Object.entries(HOUSEHOLD_PERMISSION_LABELS).map(([field, label]) => (
+                <label key={field} className="checkbox">
+                  <input
+                    type="checkbox"
+                    checked={m[field]}
+                    disabled={!me?.isAdmin}
+                    onChange={(e) => setPermission(m.userId, field, e.target.checked)}
+                  />
+                  <span>{label}</span>
+                </label>
+              ))}
+              {(me?.isAdmin || m.userId === userId) && (
+                <button type="button" className="link" onClick={() => remove(m.userId)}>
+                  {m.userId === userId ? 'Părăsește' : 'Scoate'}
+                </button>
+              )}
+            </div>
+          </li>
+        ))}
+      </ul>
+      {me?.isAdmin && (
+        <>
+          <input value={search} onChange={(e) => findUsers(e.target.value)} placeholder="Adaugă membru (nume sau email)" />
+          {results.map((u) => (
+            <button key={u.id} type="button" className="ghost" onClick={() => addMember(u.id)}>
+              {u.name} ({u.email})
+            </button>
+          ))}
+        </>
+      )}
+    </div>
+  );
+}
+
+// Rough device label from a user agent, enough to tell one's own sessions apart
+const describeDevice = (userAgent) => {
+  if (!userAgent) return 'Dispozitiv necunoscut';
+  const browser = ['Edg', 'Firefox', 'Chrome', 'Safari'].find((name) => userAgent.includes(name));
+  const system = ['Android', 'iPhone', 'iPad', 'Windows', 'Mac OS', 'Linux'].find((name) => userAgent.includes(name));
+  if (!browser && !system) return userAgent.slice(0, 60);
+  return [browser === 'Edg' ? 'Edge' : browser, system].filter(Boolean).join(' pe ');
+};
+
+// Devices logged into the account, with remote logout
+function SessionsPanel({ token, onError }) {
+  const [sessions, setSessions] = useState([]);
+  const [status, setStatus] = useState('');
+
+  const load = useCallback(
+    () => fetchJson(`${API_BASE}/api/auth/sessions`, {}, token),
+    [token]
+  );
+
+  useEffect(() => {
+    let cancelled = false;
+    load()
+      .then((list) => !cancelled && setSessions(list))
+      .catch((err) => !cancelled && onError(err.message));
+    return () => {
+      cancelled = true;
+    };
+  }, [load, onError]);
+
+  const revoke = async (id) => {
+    try {
+      await fetchJson(`${API_BASE}/api/auth/sessions/${id}`, { method: 'DELETE' }, token);
+      setSessions((prev) => prev.filter((s) => s.id !== id));
+    } catch (err) {
+      onError(err.message);
+    }
+  };
+
+  const revokeOthers = async () => {
+    try {
+      const { revoked } = await fetchJson(`${API_BASE}/api/auth/sessions/revoke-others`, { method: 'POST' }, token);
+      setSessions((prev) => prev.filter((s) => s.current));
+      setStatus(revoked ? `Am deconectat ${revoked} dispozitive.` : 'Nu erai conectat pe alte dispozitive.');
+    } catch (err) {
+      onError(err.message);
+    }
+  };
+
+  return (
+    <div className="form" style={{ marginTop: '12px' }}>
+      <span>Dispozitive conectate</span>
+      <ul className="list">
+        {sessions.map((s) => (
+          <li key={s.id} className="list-item">
+            <div className="item-title">{describeDevice(s.userAgent)}</div>
+            <div className="item-meta">
+              {s.ip && <span>{s.ip}</span>}
+              <span>activ {new Date(s.lastUsedAt).toLocaleString()}</span>
+              {s.current ? (
+                <span className="badge">Acest dispozitiv</span>
+              ) : (
+                <button type="button" className="link" onClick={() => revoke(s.id)}>
+                  Deconectează
+                </button>
+              )}
+            </div>
+          </li>
+        ))}
+      </ul>
+      {sessions.some((s) => !s.current) && (
+        <button type="button" className="ghost" onClick={revokeOthers}>
+          Deconectează celelalte dispozitive
+        </button>
+      )}
+      {status && <p className="muted">{status}</p>}
+    </div>
+  );
+}
+
+const AUTH_TITLES = { login: 'Autentificare', register: 'Creare cont', reset: 'Resetare parolă' };
+
+const EMPTY_PASSWORDS = { currentPassword: '', newPassword: '' };
+
+// Profile, email verification, password and account deletion. The current password confirms
+// a new email or password; changing the password logs out the other devices.
+function AccountPanel({ user, token, onChange, onDeleted, onError }) {
+  const [profile, setProfile] = useState({ name: user.name, email: user.email });
+  const [passwords, setPasswords] = useState(EMPTY_PASSWORDS);
+  const [deletePassword, setDeletePassword] = useState('');
+  const [passwordChanges, setPasswordChanges] = useState(0);
+  const [status, setStatus] = useState('');
+
+  const save = async (e) => {
+    e.preventDefault();
+    const body = {};
+    if (profile.name !== user.name) body.name = profile.name;
+    if (profile.email !== user.email) body.email = profile.email;
+    if (passwords.newPassword) body.newPassword = passwords.newPassword;
+    if (body.email || body.newPassword) body.currentPassword = passwords.currentPassword;
+    try {
+      const updated = await fetchJson(`${API_BASE}/api/me`, {
+        method: 'PATCH',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(authMode === 'login' ? { email, password } : { name, email, password }),
-      });
-      setToken(res.token);
-      localStorage.setItem('token', res.token);
-      setUser(res.user);
-      setAuthForm({ name: '', email: '', password: '' });
-      await loadAll(res.token);
+        body: JSON.stringify(body),
+      }, token);
+      onChange(updated);
+      setProfile({ name: updated.name, email: updated.email });
+      setPasswords(EMPTY_PASSWORDS);
+      if (body.newPassword) setPasswordChanges((n) => n + 1);
+      setStatus(
+        [
+          'Contul a fost actualizat.',
+          body.email && 'Ți-am trimis un email pentru confirmarea noii adrese.',
+          body.newPassword && 'Celelalte dispozitive au fost deconectate.',
+        ]
+          .filter(Boolean)
+          .join(' ')
+      );
     } catch (err) {
-      setError(err.message);
+      onError(err.message);
     }
   };
 
-  const logout = () => {
-    setUser(null);
-    setToken('');
-    localStorage.removeItem('token');
+  const resendVerification = async () => {
+    try {
+      await fetchJson(`${API_BASE}/api/auth/verify-email/send`, { method: 'POST' }, token);
+      setStatus(`Ți-am trimis linkul de confirmare la ${user.email}.`);
+    } catch (err) {
+      onError(err.message);
+    }
   };
 
-  const submitItem = async (e) => {
+  const deleteAccount = async (e) => {
     e.preventDefault();
-    setError('');
-    if (!newItem.title) return setError('Adaugă un titlu.');
+    if (!window.confirm('Ștergi contul? Produsele și setările tale se pierd definitiv.')) return;
+    try {
+      await fetchJson(`${API_BASE}/api/me`, {
+        method: 'DELETE',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ password: deletePassword }),
+      }, token);
+      onDeleted();
+    } catch (err) {
+      onError(err.message);
+    }
+  };
+
+  const changesCredentials = profile.email !== user.email || passwords.newPassword;
+
+  return (
+    <div className="form" style={{ marginTop: '12px' }}>
+      <span>Contul meu</span>
+      {!user.emailVerified && (
+        <div className="item-meta">
+          <span>Adresa de email nu este confirmată.</span>
+          <button type="button" className="link" onClick={resendVerification}>
+            Retrimite emailul de confirmare
+          </button>
+        </div>
+      )}
+      <form className="form" onSubmit={save}>
+        <label>
+          <span>Nume</span>
+          <input value={profile.name} onChange={(e) => setProfile({ ...profile, name: e.target.value })} required />
+        </label>
+        <label>
+          <span>Email</span>
+          <input
+            type="email"
+            value={profile.email}
+            onChange={(e) => setProfile({ ...profile, email: e.target.value })}
+            required
+          />
+        </label>
+        <label>
+          <span>Parolă nouă (opțional)</span>
+          <input
+            type="password"
+            value={passwords.newPassword}
+            onChange={(e) => setPasswords({ ...passwords, newPassword: e.target.value })}
+            autoComplete="new-password"
+          />
+        </label>
+        {changesCredentials && (
+          <label>
+            <span>Parola actuală</span>
+            <input
+              type="password"
+              value={passwords.currentPassword}
+              onChange={(e) => setPasswords({ ...passwords, currentPassword: e.target.value })}
+              autoComplete="current-password"
+              required
+            />
+          </label>
+        )}
+        <button type="submit">Salvează contul</button>
+      </form>
+      {status && <p className="muted">{status}</p>}
+      <SessionsPanel key={passwordChanges} token={token} onError={onError} />
+      <form className="form" onSubmit={deleteAccount}>
+        <label>
+          <span>Șterge contul (mesajele rămân, semnate „Cont șters”)</span>
+          <input
+            type="password"
+            value={deletePassword}
+            onChange={(e) => setDeletePassword(e.target.value)}
+            placeholder="Parola, pentru confirmare"
+            autoComplete="current-password"
+            required
+          />
+        </label>
+        <button type="submit" className="ghost">
+          Șterge contul
+        </button>
+      </form>
+    </div>
+  );
+}
+
+// Forgotten password: without a token it asks for the email to send the link to; opened from
+// that link (?reset=<token>) it sets the new password
+function PasswordReset({ resetToken, onDone, onCancel }) {
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [status, setStatus] = useState('');
+
+  const post = (path, body) =>
+    fetchJson(`${API_BASE}/api/auth/${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    });
+
+  const submit = async (e) => {
+    e.preventDefault();
+    try {
+      if (resetToken) {
+        await post('password-reset', { token: resetToken, password });
+        onDone('Parola a fost schimbată. Autentifică-te cu parola nouă.');
+      } else {
+        await post('password-reset/request', { email });
+        setStatus('Dacă adresa are un cont, vei primi un email cu linkul de resetare.');
+      }
+    } catch (err) {
+      setStatus(err.message);
+    }
+  };
+
+  return (
+    <form className="form" onSubmit={submit}>
+      {resetToken ? (
+        <label>
+          <span>Parola nouă</span>
+          <input
+            type="password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            autoComplete="new-password"
+            required
+          />
+        </label>
+      ) : (
+        <label>
+          <span>Email</span>
+          <input type="email" value={email} onChange={(e) => setEmail(e.target.value)} required />
+        </label>
+      )}
+      <button type="submit">{resetToken ? 'Schimbă parola' : 'Trimite linkul de resetare'}</button>
+      <button type="button" className="ghost" onClick={onCancel}>
+        Înapoi la login
+      </button>
+      {status && <p className="muted">{status}</p>}
+    </form>
+  );
+}
+
+const EMPTY_DONATION = { item: '', quantity: '', location: '' };
+
+// Donating without an account: the item is listed publicly at the given location.
+// The server limits how many anonymous donations one address can post per hour.
+function AnonymousDonation() {
+  const [donations, setDonations] = useState([]);
+  const [form, setForm] = useState(EMPTY_DONATION);
+  const [status, setStatus] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+    fetchJson(`${API_BASE}/api/donations`)
+      .then((list) => !cancelled && setDonations(list))
+      .catch((err) => !cancelled && setStatus(err.message));
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const submit = async (e) => {
+    e.preventDefault();
+    try {
+      const donation = await fetchJson(`${API_BASE}/api/donations`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(form),
+      });
+      setDonations((prev) => [donation, ...prev]);
+      setForm(EMPTY_DONATION);
+      setStatus('Mulțumim! Donația apare acum în lista publică.');
+    } catch (err) {
+      setStatus(err.message);
+    }
+  };
+
+  return (
+    <div className="panel">
+      <h2>Donează fără cont</h2>
+      <form className="form" onSubmit={submit}>
+        <label>
+          <span>Produs</span>
+          <input value={form.item} onChange={(e) => setForm({ ...form, item: e.target.value })} placeholder="Ex: Pâine" required />
+        </label>
+        <div className="quantity-row">
+          <label>
+            <span>Cantitate</span>
+            <input
+              value={form.quantity}
+              onChange={(e) => setForm({ ...form, quantity: e.target.value })}
+              placeholder="Ex: 2 bucăți"
+              required
+            />
+          </label>
+          <label>
+            <span>Unde se ridică</span>
+            <input
+              value={form.location}
+              onChange={(e) => setForm({ ...form, location: e.target.value })}
+              placeholder="Ex: Piața Romană"
+              required
+            />
+          </label>
+        </div>
+        <button type="submit">Donează</button>
+      </form>
+      {status && <p className="muted">{status}</p>}
+      {donations.length > 0 && (
+        <ul className="list">
+          {donations.map((d) => (
+            <li key={d.id} className="list-item">
+              <div className="item-title">{d.item}</div>
+              <div className="item-meta">
+                <span>{d.quantity}</span>
+                <span>•</span>
+                <span>{d.location}</span>
+                <span>•</span>
+                <span>{new Date(d.createdAt).toLocaleString()}</span>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+const SHARE_NETWORK_LABELS = { facebook: 'Facebook', x: 'X', whatsapp: 'WhatsApp' };
+
+const mediaUrl = (key) => `${API_BASE}/api/media/${key}`;
+
+// Thumbnails linking to the full-size photos; with onDelete each one gets a remove button
+function PhotoStrip({ photos, onDelete }) {
+  if (!photos?.length) return null;
+  return (
+    <div className="photo-strip">
+      {photos.map((p) => (
+        <span key={p.id} className="photo">
+          <a href={mediaUrl(p.key)} target="_blank" rel="noreferrer">
+            <img src={mediaUrl(p.thumbnailKey)} alt="" loading="lazy" />
+          </a>
+          {onDelete && (
+            <button type="button" className="link" onClick={() => onDelete(p.id)}>
+              ✕
+            </button>
+          )}
+        </span>
+      ))}
+    </div>
+  );
+}
+
+const categoryLabel = (category) => (category.icon ? `${category.icon} ${category.name}` : category.name);
+
+const EMPTY_CATEGORY = { id: null, name: '', icon: '', color: '#1b6b44' };
+
+// The user's own categories next to the built-in ones: add or edit them, merge one into another
+// or delete one, moving its items to the chosen category
+function CategoryManager({ categories, onSave, onMerge, onDelete }) {
+  const [form, setForm] = useState(EMPTY_CATEGORY);
+  const [targets, setTargets] = useState({});
+  const own = categories.filter((c) => c.ownerId !== null);
+
+  const submit = async (e) => {
+    e.preventDefault();
+    const saved = await onSave(form.id, { name: form.name, icon: form.icon, color: form.color });
+    if (saved) setForm(EMPTY_CATEGORY);
+  };
+
+  return (
+    <div className="form" style={{ marginTop: '12px' }}>
+      <span>Categoriile mele</span>
+      {own.length === 0 ? (
+        <p className="muted">Nu ai categorii proprii.</p>
+      ) : (
+        <ul className="list">
+          {own.map((c) => (
+            <li key={c.id} className="list-item">
+              <div className="item-title">
+                <span className="category-swatch" style={{ background: c.color || 'transparent' }} />
+                {categoryLabel(c)}
+              </div>
+              <div className="item-meta">
+                <span>{c._count?.items ?? 0} produse</span>
+                <button type="button" className="link" onClick={() => setForm({ ...EMPTY_CATEGORY, ...c, icon: c.icon || '', color: c.color || EMPTY_CATEGORY.color })}>
+                  Editează
+                </button>
+              </div>
+              <div className="quantity-row">
+                <select
+                  value={targets[c.id] || ''}
+                  onChange={(e) => setTargets({ ...targets, [c.id]: e.target.value })}
+                >
+                  <option value="">Fără categorie</option>
+                  {categories.filter((t) => t.id !== c.id).map((t) => (
+                    <option key={t.id} value={t.id}>
+                      {categoryLabel(t)}
+                    </option>
+                  ))}
+                </select>
+                <button type="button" className="ghost" disabled={!targets[c.id]} onClick={() => onMerge(c.id, targets[c.id])}>
+                  Combină
+                </button>
+                <button type="button" className="ghost" onClick={() => onDelete(c.id, targets[c.id])}>
+                  Șterge
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+      <form className="form" onSubmit={submit}>
+        <div className="quantity-row">
+          <input
+            value={form.icon}
+            onChange={(e) => setForm({ ...form, icon: e.target.value })}
+            placeholder="🥫"
+            maxLength={8}
+          />
+          <input
+            value={form.name}
+            onChange={(e) => setForm({ ...form, name: e.target.value })}
+            placeholder="Nume categorie"
+            required
+          />
+          <input type="color" value={form.color} onChange={(e) => setForm({ ...form, color: e.target.value })} />
+        </div>
+        <button type="submit">{form.id ? 'Salvează categoria' : 'Adaugă categorie'}</button>
+        {form.id && (
+          <button type="button" className="ghost" onClick={() => setForm(EMPTY_CATEGORY)}>
+            Renunță
+          </button>
+        )}
+      </form>
+    </div>
+  );
+}
+
+// Checkboxes for diet and allergen tags; the headings depend on whether they describe an item or a person
+function TagPicker({ value, onChange, dietTitle, allergenTitle }) {
+  const toggle = (tag) => onChange(value.includes(tag) ? value.filter((t) => t !== tag) : [...value, tag]);
+  return (
+    <>
+      {[[dietTitle, DIET_LABELS], [allergenTitle, ALLERGEN_LABELS]].map(([title, labels]) => (
+        <div key={title} className="tag-picker">
+          <span>{title}</span>
+          {Object.entries(labels).map(([tag, label]) => (
+            <label key={tag} className="checkbox">
+              <input type="checkbox" checked={value.includes(tag)} onChange={() => toggle(tag)} />
+              <span>{label}</span>
+            </label>
+          ))}
+        </div>
+      ))}
+    </>
+  );
+}
+
+// "18.10.2026, 18:00–19:00" in the browser's time zone
+const formatSlot = (slot) => {
+  const start = new Date(slot.startsAt);
+  const end = new Date(slot.endsAt);
+  const time = { hour: '2-digit', minute: '2-digit' };
+  const sameDay = start.toDateString() === end.toDateString();
+  return `${start.toLocaleDateString('ro-RO')}, ${start.toLocaleTimeString('ro-RO', time)}–${
+    sameDay ? end.toLocaleTimeString('ro-RO', time) : end.toLocaleString('ro-RO', { ...time, day: '2-digit', month: '2-digit' })
+  }`;
+};
+
+const formatQuantity = (quantity, unit) =>
+  quantity === null || quantity === undefined ? '' : `${quantity} ${UNIT_LABELS[unit] || ''}`.trim();
+
+// Invite tokens arrive as ?invite=<token> and must survive the login/registration round-trip
+const readPendingInvite = () => {
+  const fromUrl = new URLSearchParams(window.location.search).get('invite');
+  if (fromUrl) localStorage.setItem('pendingInvite', fromUrl);
+  return fromUrl || localStorage.getItem('pendingInvite') || '';
+};
+
+// Links from account emails: ?verify=<token> confirms the address, ?reset=<token> opens the
+// new-password form
+const readAccountLink = () => {
+  const params = new URLSearchParams(window.location.search);
+  return ['verify', 'reset'].map((type) => ({ type, token: params.get(type) })).find((link) => link.token) || null;
+};
+
+const removeAccountLinkFromUrl = () => {
+  const url = new URL(window.location.href);
+  url.searchParams.delete('verify');
+  url.searchParams.delete('reset');
+  window.history.replaceState(null, '', url);
+};
+
+function App() {
+  const [user, setUser] = useState(null);
+  const [token, setToken] = useState(() => localStorage.getItem('token') || '');
+  const [items, setItems] = useState({ items: [], nextCursor: null, total: 0 });
+  const [pickerItems, setPickerItems] = useState([]);
+  const [available, setAvailable] = useState({ items: [], nextCursor: null, total: 0 });
+  const [itemFilters, setItemFilters] = useState(DEFAULT_ITEM_FILTERS);
+  const [availableFilters, setAvailableFilters] = useState(DEFAULT_AVAILABLE_FILTERS);
+  const [categories, setCategories] = useState([]);
+  const [expiring, setExpiring] = useState([]);
+  const [groups, setGroups] = useState([]);
+  const [selectedGroup, setSelectedGroup] = useState('');
+  const [groupItems, setGroupItems] = useState([]);
+  const [ownerClaims, setOwnerClaims] = useState([]);
+  const [myClaims, setMyClaims] = useState([]);
+  const [stats, setStats] = useState(null);
+  const [inbox, setInbox] = useState({ notifications: [], unreadCount: 0 });
+  const [showInbox, setShowInbox] = useState(false);
+  const [digestPrefs, setDigestPrefs] = useState(null);
+  const [showSettings, setShowSettings] = useState(false);
+  const [locationForm, setLocationForm] = useState({ latitude: '', longitude: '', locationLabel: '' });
+  const [publicShares, setPublicShares] = useState({});
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+  const [accountLink, setAccountLink] = useState(readAccountLink);
+  const [groupMessages, setGroupMessages] = useState([]);
+  const [messagesCursor, setMessagesCursor] = useState(null);
+  const [groupReads, setGroupReads] = useState([]);
+  const [editMessage, setEditMessage] = useState(null);
+  const [newMessage, setNewMessage] = useState('');
+
+  const [authMode, setAuthMode] = useState('login');
+  const [authForm, setAuthForm] = useState({ name: '', email: '', password: '' });
+  const [newItem, setNewItem] = useState({
+    title: '', categoryId: '', expiresAt: '', storage: 'FRIDGE', openedAt: '', quantity: '', unit: 'PCS', visibility: 'PRIVATE', tags: [], household: false,
+  });
+  const [expiryEstimate, setExpiryEstimate] = useState(null);
+  const [dietTags, setDietTags] = useState([]);
+  const [household, setHousehold] = useState(null);
+  const [barcode, setBarcode] = useState('');
+  const [scanning, setScanning] = useState(false);
+  const [editItem, setEditItem] = useState(null);
+  const [newGroup, setNewGroup] = useState({ name: '' });
+  const [manageGroup, setManageGroup] = useState(null);
+  const [pendingInvite, setPendingInvite] = useState(readPendingInvite);
+  const [inviteOptions, setInviteOptions] = useState({ singleUse: false, expiresInHours: 72 });
+  const [inviteLinks, setInviteLinks] = useState({});
+  const [newMember, setNewMember] = useState({ userId: '', tag: '', groupId: '' });
+  const [memberSearch, setMemberSearch] = useState('');
+  const [memberResults, setMemberResults] = useState([]);
+  const [newClaim, setNewClaim] = useState({ itemId: '', quantity: '', pickupSlotId: '' });
+  const [slotForm, setSlotForm] = useState(null);
+  const [openClaimChat, setOpenClaimChat] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const groupEvents = useRef(null);
+  const inviteBase = typeof window !== 'undefined' ? `${window.location.origin}${window.location.pathname}` : '';
+
+  const availableItems = useMemo(() => available.items, [available]);
+  const claimTarget = availableItems.find((i) => String(i.id) === newClaim.itemId);
+  const lastMessage = groupMessages[groupMessages.length - 1];
+  const seenBy = lastMessage
+    ? groupReads
+      .filter((r) => r.userId !== user?.id && r.userId !== lastMessage.authorId && r.lastReadMessageId >= lastMessage.id)
+      .map((r) => r.user?.name || 'Utilizator')
+    : [];
+
+  const loadAll = async (activeToken = token) => {
+    setLoading(true);
+    try {
+      const [cats, it, pickable, exp, grp, avail, ownerCls, myCls, st, notif, digest, diet, home] = await Promise.all([
+        fetchJson(`${API_BASE}/api/categories`, {}, activeToken),
+        fetchJson(`${API_BASE}/api/items${listQuery(itemFilters)}`, {}, activeToken),
+        fetchAllItems(PICKER_ITEM_FILTERS, activeToken),
+        fetchJson(`${API_BASE}/api/items/expiring?scope=all`, {}, activeToken),
+        fetchJson(`${API_BASE}/api/groups`, {}, activeToken),
+        fetchJson(`${API_BASE}/api/items/available${listQuery(availableFilters, null, user)}`, {}, activeToken),
+        fetchJson(`${API_BASE}/api/claims/for-owner`, {}, activeToken),
+        fetchJson(`${API_BASE}/api/claims/mine`, {}, activeToken),
+        fetchJson(`${API_BASE}/api/stats/me`, {}, activeToken),
+        fetchJson(`${API_BASE}/api/notifications`, {}, activeToken),
+        fetchJson(`${API_BASE}/api/me/digest`, {}, activeToken),
+        fetchJson(`${API_BASE}/api/me/diet`, {}, activeToken),
+        fetchJson(`${API_BASE}/api/household`, {}, activeToken),
+      ]);
+      setCategories(cats);
+      setItems(it);
+      setPickerItems(pickable);
+      setExpiring(exp);
+      setGroups(grp);
+      setAvailable(avail);
+      setOwnerClaims(ownerCls);
+      setMyClaims(myCls);
+      setStats(st);
+      setInbox(notif);
+      setDigestPrefs(digest);
+      setDietTags(diet.tags);
+      setHousehold(home);
+      setError('');
+    } catch (err) {
+      console.error(err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const clearPendingInvite = () => {
+    setPendingInvite('');
+    localStorage.removeItem('pendingInvite');
+    const url = new URL(window.location.href);
+    if (url.searchParams.has('invite')) {
+      url.searchParams.delete('invite');
+      window.history.replaceState(null, '', url);
+    }
+  };
+
+  const joinPendingInvite = async (activeToken) => {
+    if (!pendingInvite) return null;
+    try {
+      return await fetchJson(
+        `${API_BASE}/api/groups/join/${encodeURIComponent(pendingInvite)}`,
+        { method: 'POST' },
+        activeToken
+      );
+    } catch (err) {
+      setError(`Invitație: ${err.message}`);
+      return null;
+    } finally {
+      clearPendingInvite();
+    }
+  };
+
+  const bootstrap = async (activeToken) => {
+    if (!activeToken) return;
+    try {
+      const me = await fetchJson(`${API_BASE}/api/me`, {}, activeToken);
+      setUser(me);
+      const joined = await joinPendingInvite(activeToken);
+      await loadAll(activeToken);
+      if (joined) await selectGroup(String(joined.id));
+    } catch (err) {
+      console.error(err);
+      setError(err.message);
+      setUser(null);
+      setToken('');
+      clearTokens();
+    }
+  };
+
+  useEffect(() => {
+    bootstrap(token);
+  }, [token]);
+
+  useEffect(() => () => groupEvents.current?.close(), []);
+
+  // StrictMode runs effects twice in development and the token works only once, so the request is shared
+  const verification = useRef(null);
+  useEffect(() => {
+    if (accountLink?.type !== 'verify') return undefined;
+    let cancelled = false;
+    verification.current ??= fetchJson(`${API_BASE}/api/auth/verify-email`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ token: accountLink.token }),
+    });
+    verification.current
+      .then(() => {
+        if (cancelled) return;
+        setNotice('Adresa de email a fost confirmată.');
+        setUser((prev) => prev && { ...prev, emailVerified: true });
+      })
+      .catch((err) => !cancelled && setError(`Confirmare email: ${err.message}`))
+      .finally(() => {
+        if (cancelled) return;
+        removeAccountLinkFromUrl();
+        setAccountLink(null);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [accountLink]);
+
+  const finishPasswordReset = (message) => {
+    removeAccountLinkFromUrl();
+    setAccountLink(null);
+    setAuthMode('login');
+    if (message) setNotice(message);
+  };
+
+  // Preview the expiry the server will estimate when the date is left empty
+  useEffect(() => {
+    if (!token || newItem.expiresAt || !newItem.categoryId) {
+      setExpiryEstimate(null);
+      return;
+    }
+    let cancelled = false;
+    const params = new URLSearchParams({ categoryId: newItem.categoryId, storage: newItem.storage });
+    if (newItem.openedAt) params.set('openedAt', newItem.openedAt);
+    fetchJson(`${API_BASE}/api/items/estimate?${params}`, {}, token)
+      .then((res) => !cancelled && setExpiryEstimate(res.expiresAt))
+      .catch(() => !cancelled && setExpiryEstimate(null));
+    return () => {
+      cancelled = true;
+    };
+  }, [token, newItem.categoryId, newItem.storage, newItem.openedAt, newItem.expiresAt]);
+
+  // Poll the inbox so claim and expiry notifications show up without a reload
+  useEffect(() => {
+    if (!user || !token) return undefined;
+    const poll = () => fetchJson(`${API_BASE}/api/notifications`, {}, token).then(setInbox).catch(() => {});
+    const timer = setInterval(poll, 60000);
+    return () => clearInterval(timer);
+  }, [user, token]);
+
+  const handleAuth = async (e) => {
+    e.preventDefault();
+    setError('');
+    setNotice('');
+    const { name, email, password } = authForm;
+    if (!email || !password || (authMode === 'register' && !name)) {
+      return setError('Completează câmpurile.');
+    }
+    try {
+      const res = await fetchJson(`${API_BASE}/api/auth/${authMode}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(authMode === 'login' ? { email, password } : { name, email, password }),
+      });
+      storeTokens(res);
+      setToken(res.token);
+      setUser(res.user);
+      setAuthForm({ name: '', email: '', password: '' });
+      await loadAll(res.token);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const clearSession = () => {
+    groupEvents.current?.close();
+    groupEvents.current = null;
+    setUser(null);
+    setToken('');
+    clearTokens();
+  };
+
+  const handleAccountDeleted = () => {
+    clearSession();
+    setNotice('Contul a fost șters.');
+  };
+
+  // Revoke the session on the server too, so its refresh token cannot be used again
+  const logout = () => {
+    fetchJson(`${API_BASE}/api/auth/logout`, { method: 'POST' }, token).catch(() => {});
+    clearSession();
+  };
+
+  // A refresh token the server refused (expired, revoked from another device) ends the session here
+  useEffect(() => {
+    const onExpired = () => {
+      clearSession();
+      setError('Sesiunea a expirat. Autentifică-te din nou.');
+    };
+    window.addEventListener(SESSION_EXPIRED, onExpired);
+    return () => window.removeEventListener(SESSION_EXPIRED, onExpired);
+  }, []);
+
+  const submitItem = async (e) => {
+    e.preventDefault();
+    setError('');
+    if (!newItem.title) return setError('Adaugă un titlu.');
+    try {
+      await fetchJson(`${API_BASE}/api/items`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          title: newItem.title,
+          categoryId: newItem.categoryId ? Number(newItem.categoryId) : undefined,
+          expiresAt: newItem.expiresAt || undefined,
+          storage: newItem.storage,
+          openedAt: newItem.openedAt || undefined,
+          quantity: newItem.quantity ? Number(newItem.quantity) : undefined,
+          unit: newItem.quantity ? newItem.unit : undefined,
+          visibility: newItem.visibility,
+          tags: newItem.tags,
+          household: newItem.household,
+        }),
+      }, token);
+      setNewItem({
+        title: '', categoryId: '', expiresAt: '', storage: 'FRIDGE', openedAt: '', quantity: '', unit: 'PCS', visibility: 'PRIVATE', tags: [], household: false,
+      });
+      await loadAll();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  // Prefill the new item form from the product catalog
+  const lookupBarcode = useCallback(async (code) => {
+    const clean = code.trim();
+    if (!clean) return;
+    try {
+      const product = await fetchJson(`${API_BASE}/api/products/${encodeURIComponent(clean)}`, {}, token);
+      setNewItem((prev) => ({
+        ...prev,
+        title: product.brand ? `${product.name} (${product.brand})` : product.name,
+        categoryId: product.categoryId ? String(product.categoryId) : prev.categoryId,
+        expiresAt: product.suggestedExpiresAt ? product.suggestedExpiresAt.slice(0, 10) : prev.expiresAt,
+      }));
+      setError('');
+    } catch (err) {
+      setError(err.message === 'product not found' ? 'Produsul nu este în catalog, completează manual.' : err.message);
+    }
+  }, [token]);
+
+  const onBarcodeDetected = useCallback((code) => {
+    setScanning(false);
+    setBarcode(code);
+    lookupBarcode(code);
+  }, [lookupBarcode]);
+
+  const closeScanner = useCallback(() => setScanning(false), []);
+
+  const setItemStatus = async (id, status) => {
+    try {
+      await fetchJson(`${API_BASE}/api/items/${id}/status`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ status }),
+      }, token);
+      await loadAll();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const markAvailable = (id) => setItemStatus(id, 'AVAILABLE');
+
+  const startEditItem = (item) => {
+    setEditItem({
+      id: item.id,
+      title: item.title,
+      categoryId: item.categoryId ? String(item.categoryId) : '',
+      // An estimated date is left empty so the server keeps estimating it
+      expiresAt: item.expiresAt && !item.expiresEstimated ? item.expiresAt.slice(0, 10) : '',
+      storage: item.storage,
+      openedAt: item.openedAt ? item.openedAt.slice(0, 10) : '',
+      quantity: item.quantity ?? '',
+      unit: item.unit || 'PCS',
+      visibility: item.visibility,
+      tags: item.tags.map((t) => t.tag),
+    });
+  };
+
+  const saveItem = async (e) => {
+    e.preventDefault();
+    if (!editItem.title.trim()) return setError('Adaugă un titlu.');
+    try {
+      await fetchJson(`${API_BASE}/api/items/${editItem.id}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          title: editItem.title,
+          categoryId: editItem.categoryId ? Number(editItem.categoryId) : null,
+          expiresAt: editItem.expiresAt || null,
+          storage: editItem.storage,
+          openedAt: editItem.openedAt || null,
+          quantity: editItem.quantity === '' ? null : Number(editItem.quantity),
+          unit: editItem.quantity === '' ? null : editItem.unit,
+          visibility: editItem.visibility,
+          tags: editItem.tags,
+        }),
+      }, token);
+      setEditItem(null);
+      await loadAll();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const deleteItem = async (id) => {
+    if (!window.confirm('Ștergi produsul din frigider?')) return;
+    try {
+      await fetchJson(`${API_BASE}/api/items/${id}`, { method: 'DELETE' }, token);
+      if (editItem?.id === id) setEditItem(null);
+      await loadAll();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const uploadPhotos = async (itemId, files) => {
+    if (files.length === 0) return;
+    const body = new FormData();
+    Array.from(files).forEach((file) => body.append('photos', file));
+    try {
+      await fetchJson(`${API_BASE}/api/items/${itemId}/photos`, { method: 'POST', body }, token);
+      await loadItemPage(itemFilters);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const deletePhoto = async (itemId, photoId) => {
+    if (!window.confirm('Ștergi poza?')) return;
+    try {
+      await fetchJson(`${API_BASE}/api/items/${itemId}/photos/${photoId}`, { method: 'DELETE' }, token);
+      await loadItemPage(itemFilters);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const searchUsers = async (value) => {
+    setMemberSearch(value);
+    setNewMember((prev) => ({ ...prev, userId: '' }));
+    if (!value.trim() || value.trim().length < 2) {
+      setMemberResults([]);
+      return;
+    }
+    try {
+      const results = await fetchJson(
+        `${API_BASE}/api/users/search?q=${encodeURIComponent(value.trim())}`,
+        {},
+        token
+      );
+      setMemberResults(results);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const addGroup = async (e) => {
+    e.preventDefault();
+    if (!newGroup.name) return setError('Nume grup necesar.');
+    try {
+      await fetchJson(`${API_BASE}/api/groups`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name: newGroup.name }),
+      }, token);
+      setNewGroup({ name: '' });
+      await loadAll();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const addMember = async (e) => {
+    e.preventDefault();
+    if (!newMember.userId || !newMember.groupId) {
+      return setError('Alege grup și un utilizator existent.');
+    }
+    try {
+      await fetchJson(`${API_BASE}/api/groups/${newMember.groupId}/members`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          userId: Number(newMember.userId),
+          tag: newMember.tag,
+        }),
+      }, token);
+      setNewMember({ userId: '', tag: '', groupId: '' });
+      setMemberSearch('');
+      setMemberResults([]);
+      await loadAll();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const groupRole = (group) => {
+    if (group.ownerId === user?.id) return 'OWNER';
+    return group.members?.find((m) => m.userId === user?.id)?.role || null;
+  };
+
+  const currentGroup = groups.find((g) => String(g.id) === selectedGroup);
+  const selectedGroupRole = currentGroup ? groupRole(currentGroup) : null;
+
+  const groupAction = async (groupId, path, options, confirmText) => {
+    if (confirmText && !window.confirm(confirmText)) return;
+    try {
+      await fetchJson(`${API_BASE}/api/groups/${groupId}${path}`, {
+        ...options,
+        headers: { 'Content-Type': 'application/json' },
+      }, token);
+      const leftGroup = path === '/leave' || (path === '' && options.method === 'DELETE');
+      if (leftGroup && selectedGroup === String(groupId)) await selectGroup('');
+      await loadAll();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const createInvite = async (groupId) => {
+    try {
+      const invite = await fetchJson(`${API_BASE}/api/groups/${groupId}/invites`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(inviteOptions),
+      }, token);
+      setInviteLinks({
+        ...inviteLinks,
+        [groupId]: { url: `${inviteBase}?invite=${encodeURIComponent(invite.token)}`, expiresAt: invite.expiresAt },
+      });
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const renameGroup = async (e) => {
+    e.preventDefault();
+    if (!manageGroup.name.trim()) return setError('Nume grup necesar.');
+    await groupAction(manageGroup.id, '', { method: 'PATCH', body: JSON.stringify({ name: manageGroup.name }) });
+  };
+
+  const loadGroupItems = async (groupId) => {
+    if (!groupId) return;
+    try {
+      const data = await fetchJson(`${API_BASE}/api/groups/${groupId}/items`, {}, token);
+      setGroupItems(data.items);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const markGroupRead = async (groupId) => {
+    try {
+      await fetchJson(`${API_BASE}/api/groups/${groupId}/read`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({}),
+      }, token);
+      setGroups((prev) => prev.map((g) => (String(g.id) === String(groupId) ? { ...g, unreadCount: 0 } : g)));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  // Pages arrive newest first; the chat shows them oldest first
+  const loadGroupMessages = async (groupId, cursor = null) => {
+    if (!groupId) return;
+    try {
+      const query = cursor ? `?cursor=${cursor}` : '';
+      const data = await fetchJson(`${API_BASE}/api/groups/${groupId}/messages${query}`, {}, token);
+      const page = [...data.messages].reverse();
+      setGroupMessages((prev) => (cursor ? [...page, ...prev] : page));
+      setMessagesCursor(data.nextCursor);
+      if (!cursor) await markGroupRead(groupId);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const loadGroupReads = async (groupId) => {
+    try {
+      const data = await fetchJson(`${API_BASE}/api/groups/${groupId}/reads`, {}, token);
+      setGroupReads(data);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const upsertMessage = (message) => {
+    setGroupMessages((prev) => (prev.some((m) => m.id === message.id)
+      ? prev.map((m) => (m.id === message.id ? message : m))
+      : [...prev, message]));
+  };
+
+  const refreshClaims = async () => {
+    try {
+      const [ownerCls, myCls] = await Promise.all([
+        fetchJson(`${API_BASE}/api/claims/for-owner`, {}, token),
+        fetchJson(`${API_BASE}/api/claims/mine`, {}, token),
+      ]);
+      setOwnerClaims(ownerCls);
+      setMyClaims(myCls);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  // One live stream at a time, following the selected group. The stream is authenticated once,
+  // when it connects, so a stream that worked and then closed reconnects with a refreshed token.
+  const subscribeToGroup = (groupId) => {
+    groupEvents.current?.close();
+    groupEvents.current = null;
+    if (!groupId) return;
+    const accessToken = localStorage.getItem('token') || token;
+    const source = new EventSource(
+      `${API_BASE}/api/groups/${groupId}/events?access_token=${encodeURIComponent(accessToken)}`
+    );
+    let opened = false;
+    source.addEventListener('open', () => {
+      opened = true;
+    });
+    source.addEventListener('error', () => {
+      if (!opened || source.readyState !== EventSource.CLOSED || groupEvents.current !== source) return;
+      refreshSession()
+        .then((fresh) => fresh && groupEvents.current === source && subscribeToGroup(groupId))
+        .catch(() => {});
+    });
+    source.addEventListener('message', (e) => {
+      upsertMessage(JSON.parse(e.data));
+      markGroupRead(groupId);
+    });
+    source.addEventListener('message_update', (e) => upsertMessage(JSON.parse(e.data)));
+    source.addEventListener('read', (e) => {
+      const read = JSON.parse(e.data);
+      setGroupReads((prev) => [...prev.filter((r) => r.userId !== read.userId), read]);
+    });
+    source.addEventListener('share', (e) => {
+      const item = JSON.parse(e.data);
+      setGroupItems((prev) => (prev.some((i) => i.id === item.id) ? prev : [item, ...prev]));
+    });
+    source.addEventListener('claim', () => {
+      loadGroupItems(groupId);
+      refreshClaims();
+    });
+    groupEvents.current = source;
+  };
+
+  const selectGroup = async (groupId) => {
+    setSelectedGroup(groupId);
+    setGroupItems([]);
+    setGroupMessages([]);
+    setMessagesCursor(null);
+    setGroupReads([]);
+    setEditMessage(null);
+    subscribeToGroup(groupId);
+    if (!groupId) return;
+    await Promise.all([loadGroupItems(groupId), loadGroupMessages(groupId), loadGroupReads(groupId)]);
+  };
+
+  const shareToGroup = async (e) => {
+    e.preventDefault();
+    if (!selectedGroup || !newClaim.itemId) {
+      return setError('Alege grup și produs de trimis.');
+    }
+    try {
+      await fetchJson(`${API_BASE}/api/groups/${selectedGroup}/share`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ itemId: Number(newClaim.itemId) }),
+      }, token);
+      await loadGroupItems(selectedGroup);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const sendMessage = async (e) => {
+    e.preventDefault();
+    if (!selectedGroup || !newMessage.trim()) return;
+    try {
+      const message = await fetchJson(`${API_BASE}/api/groups/${selectedGroup}/messages`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ content: newMessage }),
+      }, token);
+      setNewMessage('');
+      upsertMessage(message);
+      await markGroupRead(selectedGroup);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const saveMessage = async (e) => {
+    e.preventDefault();
+    if (!editMessage.content.trim()) return;
+    try {
+      const message = await fetchJson(`${API_BASE}/api/groups/${selectedGroup}/messages/${editMessage.id}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ content: editMessage.content }),
+      }, token);
+      upsertMessage(message);
+      setEditMessage(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const deleteMessage = async (id) => {
+    if (!window.confirm('Ștergi mesajul?')) return;
+    try {
+      const message = await fetchJson(`${API_BASE}/api/groups/${selectedGroup}/messages/${id}`, {
+        method: 'DELETE',
+      }, token);
+      upsertMessage(message);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const createClaim = async (e) => {
+    e.preventDefault();
+    if (!newClaim.itemId) {
+      return setError('Selectează produs.');
+    }
+    try {
+      await fetchJson(`${API_BASE}/api/claims`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          itemId: Number(newClaim.itemId),
+          quantity: newClaim.quantity ? Number(newClaim.quantity) : undefined,
+          pickupSlotId: newClaim.pickupSlotId ? Number(newClaim.pickupSlotId) : undefined,
+        }),
+      }, token);
+      setNewClaim({ itemId: '', quantity: '', pickupSlotId: '' });
+      await loadAll();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const addSlot = async (e) => {
+    e.preventDefault();
+    if (!slotForm.startsAt || !slotForm.endsAt) {
+      return setError('Alege începutul și sfârșitul intervalului.');
+    }
+    try {
+      await fetchJson(`${API_BASE}/api/items/${slotForm.itemId}/slots`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          startsAt: new Date(slotForm.startsAt).toISOString(),
+          endsAt: new Date(slotForm.endsAt).toISOString(),
+        }),
+      }, token);
+      setSlotForm(null);
+      await loadAll();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const deleteSlot = async (itemId, slotId) => {
+    try {
+      await fetchJson(`${API_BASE}/api/items/${itemId}/slots/${slotId}`, { method: 'DELETE' }, token);
+      await loadAll();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const rescheduleClaim = async (claimId, slotId) => {
+    try {
+      await fetchJson(`${API_BASE}/api/claims/${claimId}/slot`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ slotId: Number(slotId) }),
+      }, token);
+      await loadAll();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  // The export needs the auth header, so it is fetched and handed to the browser as a blob
+  const downloadPickupIcs = async (claimId) => {
+    try {
+      const res = await fetch(`${API_BASE}/api/claims/${claimId}/pickup.ics`, {
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      if (!res.ok) throw new Error('Nu am putut exporta intervalul');
+      const url = URL.createObjectURL(await res.blob());
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `ridicare-${claimId}.ics`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const decideClaim = async (id, decision) => {
     try {
-      await fetchJson(`${API_BASE}/api/items`, {
+      await fetchJson(`${API_BASE}/api/claims/${id}/decision`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          title: newItem.title,
-          categoryId: newItem.categoryId ? Number(newItem.categoryId) : undefined,
-          expiresAt: newItem.expiresAt || undefined,
-        }),
+        body: JSON.stringify({ decision }),
       }, token);
-      setNewItem({ title: '', categoryId: '', expiresAt: '' });
       await loadAll();
     } catch (err) {
       setError(err.message);
     }
   };
 
-  const markAvailable = async (id) => {
+  const claimAction = async (id, action) => {
     try {
-      await fetchJson(`${API_BASE}/api/items/${id}/status`, {
-        method: 'PATCH',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ status: 'AVAILABLE' }),
-      }, token);
+      await fetchJson(`${API_BASE}/api/claims/${id}/${action}`, { method: 'POST' }, token);
       await loadAll();
     } catch (err) {
       setError(err.message);
     }
   };
 
-  const searchUsers = async (value) => {
-    setMemberSearch(value);
-    setNewMember((prev) => ({ ...prev, userId: '' }));
-    if (!value.trim() || value.trim().length < 2) {
-      setMemberResults([]);
-      return;
+  // Re-query a listing with new filters, or append the next page when a cursor is given
+  const loadItemPage = async (filters, cursor = null) => {
+    try {
+      const page = await fetchJson(`${API_BASE}/api/items${listQuery(filters, cursor)}`, {}, token);
+      setItems((prev) => (cursor ? { ...page, items: [...prev.items, ...page.items] } : page));
+    } catch (err) {
+      setError(err.message);
     }
+  };
+
+  const loadAvailablePage = async (filters, cursor = null) => {
     try {
-      const results = await fetchJson(
-        `${API_BASE}/api/users/search?q=${encodeURIComponent(value.trim())}`,
-        {},
-        token
-      );
-      setMemberResults(results);
+      const page = await fetchJson(`${API_BASE}/api/items/available${listQuery(filters, cursor, user)}`, {}, token);
+      setAvailable((prev) => (cursor ? { ...page, items: [...prev.items, ...page.items] } : page));
     } catch (err) {
       setError(err.message);
     }
   };
 
-  const addGroup = async (e) => {
-    e.preventDefault();
-    if (!newGroup.name) return setError('Nume grup necesar.');
+  const applyItemFilters = (filters) => {
+    setItemFilters(filters);
+    loadItemPage(filters);
+  };
+
+  const applyAvailableFilters = (filters) => {
+    setAvailableFilters(filters);
+    loadAvailablePage(filters);
+  };
+
+  const markNotificationRead = async (id) => {
     try {
-      await fetchJson(`${API_BASE}/api/groups`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ name: newGroup.name }),
-      }, token);
-      setNewGroup({ name: '' });
-      await loadAll();
+      const path = id ? `${id}/read` : 'read-all';
+      await fetchJson(`${API_BASE}/api/notifications/${path}`, { method: 'POST' }, token);
+      const data = await fetchJson(`${API_BASE}/api/notifications`, {}, token);
+      setInbox(data);
     } catch (err) {
       setError(err.message);
     }
   };
 
-  const addMember = async (e) => {
+  const saveDigestPrefs = async (e) => {
     e.preventDefault();
-    if (!newMember.userId || !newMember.groupId) {
-      return setError('Alege grup și un utilizator existent.');
-    }
     try {
-      await fetchJson(`${API_BASE}/api/groups/${newMember.groupId}/members`, {
-        method: 'POST',
+      const saved = await fetchJson(`${API_BASE}/api/me/digest`, {
+        method: 'PUT',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
-          userId: Number(newMember.userId),
-          tag: newMember.tag,
+          enabled: digestPrefs.enabled,
+          hour: Number(digestPrefs.hour),
+          days: Number(digestPrefs.days),
+          timezone: digestPrefs.timezone,
         }),
       }, token);
-      setNewMember({ userId: '', tag: '', groupId: '' });
-      setMemberSearch('');
-      setMemberResults([]);
-      await loadAll();
+      setDigestPrefs(saved);
+      setShowSettings(false);
     } catch (err) {
       setError(err.message);
     }
   };
 
-  const loadGroupItems = async (groupId) => {
-    if (!groupId) return;
+  const saveDietTags = async (e) => {
+    e.preventDefault();
     try {
-      const data = await fetchJson(`${API_BASE}/api/groups/${groupId}/items`, {}, token);
-      setGroupItems(data);
+      const saved = await fetchJson(`${API_BASE}/api/me/diet`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ tags: dietTags }),
+      }, token);
+      setDietTags(saved.tags);
+      setShowSettings(false);
+      if (availableFilters.suitsMe) await loadAvailablePage(availableFilters);
     } catch (err) {
       setError(err.message);
     }
   };
 
-  const loadGroupMessages = async (groupId) => {
-    if (!groupId) return;
-    try {
-      const data = await fetchJson(`${API_BASE}/api/groups/${groupId}/messages`, {}, token);
-      setGroupMessages(data);
-    } catch (err) {
-      setError(err.message);
-    }
+  // Joining or leaving a household changes which items the fridge lists show
+  const changeHousehold = async (next) => {
+    setHousehold(next);
+    const filters = next ? itemFilters : { ...itemFilters, scope: 'mine' };
+    setItemFilters(filters);
+    await loadItemPage(filters);
   };
 
-  const selectGroup = async (groupId) => {
-    setSelectedGroup(groupId);
-    setGroupItems([]);
-    setGroupMessages([]);
-    if (!groupId) return;
-    await Promise.all([loadGroupItems(groupId), loadGroupMessages(groupId)]);
+  const loadCategories = async () => {
+    setCategories(await fetchJson(`${API_BASE}/api/categories`, {}, token));
   };
 
-  const shareToGroup = async (e) => {
-    e.preventDefault();
-    if (!selectedGroup || !newClaim.itemId) {
-      return setError('Alege grup și produs de trimis.');
-    }
+  const saveCategory = async (id, data) => {
     try {
-      await fetchJson(`${API_BASE}/api/groups/${selectedGroup}/share`, {
-        method: 'POST',
+      await fetchJson(`${API_BASE}/api/categories${id ? `/${id}` : ''}`, {
+        method: id ? 'PATCH' : 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ itemId: Number(newClaim.itemId) }),
+        body: JSON.stringify(data),
       }, token);
-      await loadGroupItems(selectedGroup);
+      await loadCategories();
+      return true;
     } catch (err) {
       setError(err.message);
+      return false;
     }
   };
 
-  const sendMessage = async (e) => {
-    e.preventDefault();
-    if (!selectedGroup || !newMessage.trim()) return;
+  // Merging and deleting move items to another category, so the item list is reloaded too
+  const mergeCategory = async (id, targetId) => {
     try {
-      await fetchJson(`${API_BASE}/api/groups/${selectedGroup}/messages`, {
+      await fetchJson(`${API_BASE}/api/categories/${id}/merge`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ content: newMessage }),
+        body: JSON.stringify({ targetId: Number(targetId) }),
       }, token);
-      setNewMessage('');
-      await loadGroupMessages(selectedGroup);
+      await Promise.all([loadCategories(), loadItemPage(itemFilters)]);
     } catch (err) {
       setError(err.message);
     }
   };
 
-  const createClaim = async (e) => {
-    e.preventDefault();
-    if (!newClaim.itemId) {
-      return setError('Selectează produs.');
+  const deleteCategory = async (id, reassignTo) => {
+    if (!window.confirm('Ștergi categoria?')) return;
+    try {
+      const query = reassignTo ? `?reassignTo=${reassignTo}` : '';
+      await fetchJson(`${API_BASE}/api/categories/${id}${query}`, { method: 'DELETE' }, token);
+      await Promise.all([loadCategories(), loadItemPage(itemFilters)]);
+    } catch (err) {
+      setError(err.message);
     }
+  };
+
+  const toggleSettings = () => {
+    setLocationForm({
+      latitude: user.latitude ?? '',
+      longitude: user.longitude ?? '',
+      locationLabel: user.locationLabel || '',
+    });
+    setShowSettings(!showSettings);
+  };
+
+  // Fill the location form from the browser; the coordinates never leave the app
+  const fillCurrentPosition = () => {
+    if (!navigator.geolocation) {
+      setError('Browserul nu oferă localizare');
+      return;
+    }
+    navigator.geolocation.getCurrentPosition(
+      (pos) =>
+        setLocationForm((prev) => ({
+          ...prev,
+          latitude: Number(pos.coords.latitude.toFixed(5)),
+          longitude: Number(pos.coords.longitude.toFixed(5)),
+        })),
+      () => setError('Nu am putut obține locația curentă'),
+    );
+  };
+
+  const saveLocation = async (e) => {
+    e.preventDefault();
+    const clear = locationForm.latitude === '' && locationForm.longitude === '';
     try {
-      await fetchJson(`${API_BASE}/api/claims`, {
-        method: 'POST',
+      const saved = await fetchJson(`${API_BASE}/api/me/location`, {
+        method: 'PUT',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
-          itemId: Number(newClaim.itemId),
+          latitude: clear ? null : Number(locationForm.latitude),
+          longitude: clear ? null : Number(locationForm.longitude),
+          locationLabel: locationForm.locationLabel,
         }),
       }, token);
-      setNewClaim({ itemId: '' });
-      await loadAll();
+      setUser({ ...user, ...saved });
+      if (!hasLocation(saved) && availableFilters.radiusKm) applyAvailableFilters({ ...availableFilters, radiusKm: '', sort: 'newest' });
+      setShowSettings(false);
     } catch (err) {
       setError(err.message);
     }
   };
 
-  const decideClaim = async (id, decision) => {
+  // Creates the public link on first use; later calls return the same link with fresh click counts
+  const sharePublicly = async (itemId) => {
     try {
-      await fetchJson(`${API_BASE}/api/claims/${id}/decision`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ decision }),
-      }, token);
-      await loadAll();
+      const share = await fetchJson(`${API_BASE}/api/items/${itemId}/public-share`, { method: 'POST' }, token);
+      setPublicShares((prev) => ({ ...prev, [itemId]: share }));
     } catch (err) {
       setError(err.message);
     }
   };
 
-  const shareItem = async (itemId, network) => {
+  const revokePublicShare = async (itemId) => {
+    if (!window.confirm('Revoci linkul public? Cine îl are nu va mai vedea produsul.')) return;
     try {
-      const res = await fetchJson(`${API_BASE}/api/share`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ itemId, network }),
-      }, token);
-      setShareLink(res.shareUrl);
+      await fetchJson(`${API_BASE}/api/items/${itemId}/public-share`, { method: 'DELETE' }, token);
+      setPublicShares((prev) => ({ ...prev, [itemId]: null }));
     } catch (err) {
       setError(err.message);
     }
@@ -337,47 +2064,68 @@ function App() {
       </header>
 
       {error && <div className="alert error">{error}</div>}
+      {notice && <div className="alert">{notice}</div>}
+      {!user && pendingInvite && (
+        <div className="content">
+          <div className="alert">
+            Ai primit o invitație într-un grup. Autentifică-te sau creează un cont pentru a intra în grup.
+          </div>
+        </div>
+      )}
       {loading && <div className="alert muted">Se încarcă...</div>}
 
       {!user && (
         <main className="content grid-2">
           <section className="panel">
-            <h2>{authMode === 'login' ? 'Autentificare' : 'Creare cont'}</h2>
-            <form className="form" onSubmit={handleAuth}>
-              {authMode === 'register' && (
+            <h2>{AUTH_TITLES[accountLink?.type === 'reset' ? 'reset' : authMode]}</h2>
+            {accountLink?.type === 'reset' || authMode === 'reset' ? (
+              <PasswordReset
+                resetToken={accountLink?.type === 'reset' ? accountLink.token : ''}
+                onDone={finishPasswordReset}
+                onCancel={() => finishPasswordReset('')}
+              />
+            ) : (
+              <form className="form" onSubmit={handleAuth}>
+                {authMode === 'register' && (
+                  <label>
+                    <span>Nume</span>
+                    <input
+                      value={authForm.name}
+                      onChange={(e) => setAuthForm({ ...authForm, name: e.target.value })}
+                    />
+                  </label>
+                )}
                 <label>
-                  <span>Nume</span>
+                  <span>Email</span>
                   <input
-                    value={authForm.name}
-                    onChange={(e) => setAuthForm({ ...authForm, name: e.target.value })}
+                    type="email"
+                    value={authForm.email}
+                    onChange={(e) => setAuthForm({ ...authForm, email: e.target.value })}
                   />
                 </label>
-              )}
-              <label>
-                <span>Email</span>
-                <input
-                  type="email"
-                  value={authForm.email}
-                  onChange={(e) => setAuthForm({ ...authForm, email: e.target.value })}
-                />
-              </label>
-              <label>
-                <span>Parolă</span>
-                <input
-                  type="password"
-                  value={authForm.password}
-                  onChange={(e) => setAuthForm({ ...authForm, password: e.target.value })}
-                />
-              </label>
-              <button type="submit">{authMode === 'login' ? 'Login' : 'Înregistrează-te'}</button>
-              <button
-                type="button"
-                className="ghost"
-                onClick={() => setAuthMode(authMode === 'login' ? 'register' : 'login')}
-              >
-                {authMode === 'login' ? 'Nu ai cont? Înregistrează-te' : 'Ai cont? Login'}
-              </button>
-            </form>
+                <label>
+                  <span>Parolă</span>
+                  <input
+                    type="password"
+                    value={authForm.password}
+                    onChange={(e) => setAuthForm({ ...authForm, password: e.target.value })}
+                  />
+                </label>
+                <button type="submit">{authMode === 'login' ? 'Login' : 'Înregistrează-te'}</button>
+                <button
+                  type="button"
+                  className="ghost"
+                  onClick={() => setAuthMode(authMode === 'login' ? 'register' : 'login')}
+                >
+                  {authMode === 'login' ? 'Nu ai cont? Înregistrează-te' : 'Ai cont? Login'}
+                </button>
+                {authMode === 'login' && (
+                  <button type="button" className="link" onClick={() => setAuthMode('reset')}>
+                    Ai uitat parola?
+                  </button>
+                )}
+              </form>
+            )}
           </section>
         </main>
       )}
@@ -387,21 +2135,206 @@ function App() {
           <div className="panel">
             <p className="muted">Autentifică-te pentru a accesa datele.</p>
           </div>
+          <AnonymousDonation />
         </div>
       ) : (
         <>
           <div className="content">
             <div className="panel">
               <div className="muted">Autentificat ca {user.name} ({user.email})</div>
-              <button type="button" onClick={logout}>
-                Logout
-              </button>
+              <div className="actions" style={{ gridAutoFlow: 'column', justifyContent: 'start' }}>
+                <button type="button" className="ghost" onClick={() => setShowInbox(!showInbox)}>
+                  🔔 Notificări
+                  {inbox.unreadCount > 0 && <span className="badge">{inbox.unreadCount}</span>}
+                </button>
+                <button type="button" className="ghost" onClick={toggleSettings}>
+                  Setări
+                </button>
+                <button type="button" onClick={logout}>
+                  Logout
+                </button>
+              </div>
+              {showSettings && digestPrefs && (
+                <form className="form" onSubmit={saveDigestPrefs} style={{ marginTop: '12px' }}>
+                  <label className="checkbox">
+                    <input
+                      type="checkbox"
+                      checked={digestPrefs.enabled}
+                      onChange={(e) => setDigestPrefs({ ...digestPrefs, enabled: e.target.checked })}
+                    />
+                    <span>Trimite-mi zilnic pe email produsele care expiră</span>
+                  </label>
+                  {digestPrefs.enabled && !user.emailVerified && (
+                    <p className="muted">Rezumatul se trimite doar după ce confirmi adresa de email.</p>
+                  )}
+                  <label>
+                    <span>Ora trimiterii</span>
+                    <select
+                      value={digestPrefs.hour}
+                      onChange={(e) => setDigestPrefs({ ...digestPrefs, hour: e.target.value })}
+                    >
+                      {Array.from({ length: 24 }, (_, h) => (
+                        <option key={h} value={h}>
+                          {String(h).padStart(2, '0')}:00
+                        </option>
+                      ))}
+                    </select>
+                  </label>
+                  <label>
+                    <span>Câte zile înainte de expirare</span>
+                    <input
+                      type="number"
+                      min="1"
+                      max="14"
+                      value={digestPrefs.days}
+                      onChange={(e) => setDigestPrefs({ ...digestPrefs, days: e.target.value })}
+                    />
+                  </label>
+                  <label>
+                    <span>Fus orar</span>
+                    <input
+                      value={digestPrefs.timezone}
+                      onChange={(e) => setDigestPrefs({ ...digestPrefs, timezone: e.target.value })}
+                      placeholder="Europe/Bucharest"
+                    />
+                  </label>
+                  <button type="submit">Salvează preferințele</button>
+                </form>
+              )}
+              {showSettings && (
+                <form className="form" onSubmit={saveLocation} style={{ marginTop: '12px' }}>
+                  <label>
+                    <span>Locul de ridicare (ex. cartier, stație de metrou)</span>
+                    <input
+                      value={locationForm.locationLabel}
+                      onChange={(e) => setLocationForm({ ...locationForm, locationLabel: e.target.value })}
+                      placeholder="Ex: Piața Romană"
+                    />
+                  </label>
+                  <div className="quantity-row">
+                    <input
+                      type="number"
+                      step="any"
+                      value={locationForm.latitude}
+                      onChange={(e) => setLocationForm({ ...locationForm, latitude: e.target.value })}
+                      placeholder="Latitudine"
+                    />
+                    <input
+                      type="number"
+                      step="any"
+                      value={locationForm.longitude}
+                      onChange={(e) => setLocationForm({ ...locationForm, longitude: e.target.value })}
+                      placeholder="Longitudine"
+                    />
+                  </div>
+                  <button type="button" className="ghost" onClick={fillCurrentPosition}>
+                    Folosește locația curentă
+                  </button>
+                  <button type="submit">Salvează locația</button>
+                </form>
+              )}
+              {showSettings && (
+                <form className="form" onSubmit={saveDietTags} style={{ marginTop: '12px' }}>
+                  <TagPicker value={dietTags} onChange={setDietTags} dietTitle="Dieta mea" allergenTitle="Alergii" />
+                  <button type="submit">Salvează dieta</button>
+                </form>
+              )}
+              {showSettings && (
+                <HouseholdPanel
+                  household={household}
+                  token={token}
+                  userId={user.id}
+                  onChange={changeHousehold}
+                  onError={setError}
+                />
+              )}
+              {showSettings && (
+                <AccountPanel
+                  user={user}
+                  token={token}
+                  onChange={setUser}
+                  onDeleted={handleAccountDeleted}
+                  onError={setError}
+                />
+              )}
+              {showSettings && (
+                <CategoryManager
+                  categories={categories}
+                  onSave={saveCategory}
+                  onMerge={mergeCategory}
+                  onDelete={deleteCategory}
+                />
+              )}
+              {showInbox && (
+                <div className="inbox">
+                  {inbox.notifications.length === 0 ? (
+                    <p className="muted">Nu ai notificări.</p>
+                  ) : (
+                    <>
+                      {inbox.unreadCount > 0 && (
+                        <button type="button" className="link" onClick={() => markNotificationRead(null)}>
+                          Marchează toate ca citite
+                        </button>
+                      )}
+                      <ul className="list">
+                        {inbox.notifications.map((n) => (
+                          <li key={n.id} className={`list-item${n.readAt ? '' : ' unread'}`}>
+                            <div className="item-title">{n.title}</div>
+                            {n.body && <div className="item-meta">{n.body}</div>}
+                            <div className="item-meta" style={{ fontSize: '12px' }}>
+                              <span>{new Date(n.createdAt).toLocaleString()}</span>
+                              {!n.readAt && (
+                                <button type="button" className="link" onClick={() => markNotificationRead(n.id)}>
+                                  Marchează citit
+                                </button>
+                              )}
+                              {n.groupId && (
+                                <button type="button" className="link" onClick={() => selectGroup(String(n.groupId))}>
+                                  Deschide grupul
+                                </button>
+                              )}
+                            </div>
+                          </li>
+                        ))}
+                      </ul>
+                    </>
+                  )}
+                </div>
+              )}
             </div>
           </div>
           <main className="content grid-3">
             <section className="panel">
               <h2>Frigiderul meu</h2>
               <form className="form" onSubmit={submitItem}>
+                <label>
+                  <span>Cod de bare (opțional)</span>
+                  <div className="barcode-row">
+                    <input
+                      value={barcode}
+                      inputMode="numeric"
+                      onChange={(e) => setBarcode(e.target.value)}
+                      onKeyDown={(e) => {
+                        if (e.key === 'Enter') {
+                          e.preventDefault();
+                          lookupBarcode(barcode);
+                        }
+                      }}
+                      placeholder="EAN / UPC"
+                    />
+                    <button type="button" className="ghost" onClick={() => lookupBarcode(barcode)}>
+                      Caută
+                    </button>
+                    {canScanBarcodes && (
+                      <button type="button" className="ghost" onClick={() => setScanning(true)}>
+                        Scanează
+                      </button>
+                    )}
+                  </div>
+                </label>
+                {scanning && (
+                  <BarcodeScanner onDetected={onBarcodeDetected} onClose={closeScanner} onError={setError} />
+                )}
                 <label>
                   <span>Produs</span>
                   <input
@@ -419,11 +2352,34 @@ function App() {
                     <option value="">Fără categorie</option>
                     {categories.map((c) => (
                       <option key={c.id} value={c.id}>
-                        {c.name}
+                        {categoryLabel(c)}
                       </option>
                     ))}
                   </select>
                 </label>
+                <div className="quantity-row">
+                  <label>
+                    <span>Păstrat în</span>
+                    <select
+                      value={newItem.storage}
+                      onChange={(e) => setNewItem({ ...newItem, storage: e.target.value })}
+                    >
+                      {Object.entries(STORAGE_LABELS).map(([value, label]) => (
+                        <option key={value} value={value}>
+                          {label}
+                        </option>
+                      ))}
+                    </select>
+                  </label>
+                  <label>
+                    <span>Deschis la (opțional)</span>
+                    <input
+                      type="date"
+                      value={newItem.openedAt}
+                      onChange={(e) => setNewItem({ ...newItem, openedAt: e.target.value })}
+                    />
+                  </label>
+                </div>
                 <label>
                   <span>Expiră la</span>
                   <input
@@ -432,28 +2388,309 @@ function App() {
                     onChange={(e) => setNewItem({ ...newItem, expiresAt: e.target.value })}
                   />
                 </label>
+                {expiryEstimate && (
+                  <p className="muted">
+                    Fără dată, va expira estimativ la {new Date(expiryEstimate).toLocaleDateString()}.
+                  </p>
+                )}
+                <div className="quantity-row">
+                  <label>
+                    <span>Cantitate</span>
+                    <input
+                      type="number"
+                      min="0"
+                      step="any"
+                      value={newItem.quantity}
+                      onChange={(e) => setNewItem({ ...newItem, quantity: e.target.value })}
+                      placeholder="Ex: 2"
+                    />
+                  </label>
+                  <label>
+                    <span>Unitate</span>
+                    <select
+                      value={newItem.unit}
+                      onChange={(e) => setNewItem({ ...newItem, unit: e.target.value })}
+                    >
+                      {Object.entries(UNIT_LABELS).map(([value, label]) => (
+                        <option key={value} value={value}>
+                          {label}
+                        </option>
+                      ))}
+                    </select>
+                  </label>
+                </div>
+                <label>
+                  <span>Cine îl poate vedea când e disponibil</span>
+                  <select
+                    value={newItem.visibility}
+                    onChange={(e) => setNewItem({ ...newItem, visibility: e.target.value })}
+                  >
+                    {Object.entries(VISIBILITY_LABELS).map(([value, label]) => (
+                      <option key={value} value={value}>
+                        {label}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+                <TagPicker
+                  value={newItem.tags}
+                  onChange={(tags) => setNewItem({ ...newItem, tags })}
+                  dietTitle="Potrivit pentru"
+                  allergenTitle="Conține"
+                />
+                {household && (
+                  <label className="checkbox">
+                    <input
+                      type="checkbox"
+                      checked={newItem.household}
+                      onChange={(e) => setNewItem({ ...newItem, household: e.target.checked })}
+                    />
+                    <span>În frigiderul comun ({household.name})</span>
+                  </label>
+                )}
                 <button type="submit">Adaugă</button>
               </form>
 
+              <ItemFilters
+                filters={itemFilters}
+                categories={categories}
+                onChange={setItemFilters}
+                onSubmit={applyItemFilters}
+                household={Boolean(household)}
+              />
+              <p className="muted">{items.total} produse</p>
               <ul className="list">
-                {items.map((i) => (
+                {items.items.map((i) => (
                   <li key={i.id} className="list-item">
-                    <div className="item-title">{i.title}</div>
-                    <div className="item-meta">
-                      <span>{i.category?.name || 'Fără categorie'}</span>
-                      <span>•</span>
-                      <span>{i.expiresAt ? new Date(i.expiresAt).toLocaleDateString() : 'n/a'}</span>
-                      <span>•</span>
-                      <span>Status: {i.status}</span>
-                    </div>
-                    {i.status === 'IN_FRIDGE' && (
-                      <button className="ghost" onClick={() => markAvailable(i.id)}>
-                        Marchează disponibil
-                      </button>
+                    {editItem?.id === i.id ? (
+                      <form className="form" onSubmit={saveItem}>
+                        <label>
+                          <span>Produs</span>
+                          <input
+                            value={editItem.title}
+                            onChange={(e) => setEditItem({ ...editItem, title: e.target.value })}
+                          />
+                        </label>
+                        <label>
+                          <span>Categorie</span>
+                          <select
+                            value={editItem.categoryId}
+                            onChange={(e) => setEditItem({ ...editItem, categoryId: e.target.value })}
+                          >
+                            <option value="">Fără categorie</option>
+                            {categories.map((c) => (
+                              <option key={c.id} value={c.id}>
+                                {categoryLabel(c)}
+                              </option>
+                            ))}
+                          </select>
+                        </label>
+                        <div className="quantity-row">
+                          <label>
+                            <span>Păstrat în</span>
+                            <select
+                              value={editItem.storage}
+                              onChange={(e) => setEditItem({ ...editItem, storage: e.target.value })}
+                            >
+                              {Object.entries(STORAGE_LABELS).map(([value, label]) => (
+                                <option key={value} value={value}>
+                                  {label}
+                                </option>
+                              ))}
+                            </select>
+                          </label>
+                          <label>
+                            <span>Deschis la</span>
+                            <input
+                              type="date"
+                              value={editItem.openedAt}
+                              onChange={(e) => setEditItem({ ...editItem, openedAt: e.target.value })}
+                            />
+                          </label>
+                        </div>
+                        <label>
+                          <span>Expiră la (gol = estimare automată)</span>
+                          <input
+                            type="date"
+                            value={editItem.expiresAt}
+                            onChange={(e) => setEditItem({ ...editItem, expiresAt: e.target.value })}
+                          />
+                        </label>
+                        <div className="quantity-row">
+                          <label>
+                            <span>Cantitate</span>
+                            <input
+                              type="number"
+                              min="0"
+                              step="any"
+                              value={editItem.quantity}
+                              onChange={(e) => setEditItem({ ...editItem, quantity: e.target.value })}
+                            />
+                          </label>
+                          <label>
+                            <span>Unitate</span>
+                            <select
+                              value={editItem.unit}
+                              onChange={(e) => setEditItem({ ...editItem, unit: e.target.value })}
+                            >
+                              {Object.entries(UNIT_LABELS).map(([value, label]) => (
+                                <option key={value} value={value}>
+                                  {label}
+                                </option>
+                              ))}
+                            </select>
+                          </label>
+                        </div>
+                        <label>
+                          <span>Vizibilitate</span>
+                          <select
+                            value={editItem.visibility}
+                            onChange={(e) => setEditItem({ ...editItem, visibility: e.target.value })}
+                          >
+                            {Object.entries(VISIBILITY_LABELS).map(([value, label]) => (
+                              <option key={value} value={value}>
+                                {label}
+                              </option>
+                            ))}
+                          </select>
+                        </label>
+                        <TagPicker
+                          value={editItem.tags}
+                          onChange={(tags) => setEditItem({ ...editItem, tags })}
+                          dietTitle="Potrivit pentru"
+                          allergenTitle="Conține"
+                        />
+                        <div className="actions">
+                          <button type="submit">Salvează</button>
+                          <button type="button" className="ghost" onClick={() => setEditItem(null)}>
+                            Renunță
+                          </button>
+                        </div>
+                      </form>
+                    ) : (
+                      <>
+                        <div className="item-title">
+                          {i.title}
+                          {i.quantity !== null && ` — ${formatQuantity(i.quantity, i.unit)}`}
+                        </div>
+                        <div className="item-meta">
+                          <span>{i.category ? categoryLabel(i.category) : 'Fără categorie'}</span>
+                          <span>•</span>
+                          <span>{formatExpiry(i)}</span>
+                          <span>•</span>
+                          <span>{STORAGE_LABELS[i.storage]}</span>
+                          <span>•</span>
+                          <span>Status: {i.status}</span>
+                          {i.visibility !== 'PUBLIC' && (
+                            <span className="badge">{i.visibility === 'PRIVATE' ? 'Privat' : 'Doar grupuri'}</span>
+                          )}
+                          {i.householdId && (
+                            <span className="badge">
+                              Comun
+                              {i.ownerId !== user.id &&
+                                ` · ${household?.members.find((m) => m.userId === i.ownerId)?.user.name || 'fost membru'}`}
+                            </span>
+                          )}
+                        </div>
+                        {i.tags.length > 0 && (
+                          <div className="item-meta">{i.tags.map((t) => tagLabel(t.tag)).join(', ')}</div>
+                        )}
+                        <PhotoStrip photos={i.photos} onDelete={(photoId) => deletePhoto(i.id, photoId)} />
+                        {i.pickupSlots?.length > 0 && (
+                          <div className="item-meta">
+                            <span>Ridicare:</span>
+                            {i.pickupSlots.map((slot) => (
+                              <span key={slot.id}>
+                                {formatSlot(slot)}{' '}
+                                <button type="button" className="link" onClick={() => deleteSlot(i.id, slot.id)}>
+                                  ✕
+                                </button>
+                              </span>
+                            ))}
+                          </div>
+                        )}
+                        {slotForm?.itemId === i.id && (
+                          <form className="form" onSubmit={addSlot}>
+                            <div className="quantity-row">
+                              <label>
+                                <span>De la</span>
+                                <input
+                                  type="datetime-local"
+                                  value={slotForm.startsAt}
+                                  onChange={(e) => setSlotForm({ ...slotForm, startsAt: e.target.value })}
+                                />
+                              </label>
+                              <label>
+                                <span>Până la</span>
+                                <input
+                                  type="datetime-local"
+                                  value={slotForm.endsAt}
+                                  onChange={(e) => setSlotForm({ ...slotForm, endsAt: e.target.value })}
+                                />
+                              </label>
+                            </div>
+                            <div className="actions">
+                              <button type="submit">Adaugă interval</button>
+                              <button type="button" className="ghost" onClick={() => setSlotForm(null)}>
+                                Renunță
+                              </button>
+                            </div>
+                          </form>
+                        )}
+                        <div className="actions">
+                          {['AVAILABLE', 'CLAIMED'].includes(i.status) && slotForm?.itemId !== i.id && (
+                            <button className="ghost" onClick={() => setSlotForm({ itemId: i.id, startsAt: '', endsAt: '' })}>
+                              Interval ridicare
+                            </button>
+                          )}
+                          {i.status === 'IN_FRIDGE' && (
+                            <button className="ghost" onClick={() => markAvailable(i.id)}>
+                              Marchează disponibil
+                            </button>
+                          )}
+                          {i.status === 'CLAIMED' ? (
+                            <button className="ghost" onClick={() => setItemStatus(i.id, 'DONATED')}>
+                              Predat
+                            </button>
+                          ) : (
+                            <>
+                              <button className="ghost" onClick={() => setItemStatus(i.id, 'CONSUMED')}>
+                                Consumat
+                              </button>
+                              <button className="ghost" onClick={() => setItemStatus(i.id, 'WASTED')}>
+                                Aruncat
+                              </button>
+                            </>
+                          )}
+                          <label className="ghost file-button">
+                            Adaugă poze
+                            <input
+                              type="file"
+                              accept="image/jpeg,image/png,image/webp"
+                              multiple
+                              onChange={(e) => {
+                                uploadPhotos(i.id, e.target.files);
+                                e.target.value = '';
+                              }}
+                            />
+                          </label>
+                          <button className="ghost" onClick={() => startEditItem(i)}>
+                            Editează
+                          </button>
+                          <button className="ghost" onClick={() => deleteItem(i.id)}>
+                            Șterge
+                          </button>
+                        </div>
+                      </>
                     )}
                   </li>
                 ))}
               </ul>
+              {items.nextCursor && (
+                <button type="button" className="ghost" onClick={() => loadItemPage(itemFilters, items.nextCursor)}>
+                  Încarcă mai multe
+                </button>
+              )}
             </section>
 
             <section className="panel">
@@ -466,7 +2703,7 @@ function App() {
                     <li key={i.id} className="list-item">
                       <div className="item-title">{i.title}</div>
                       <div className="item-meta">
-                        <span>Expiră: {i.expiresAt ? new Date(i.expiresAt).toLocaleDateString() : 'n/a'}</span>
+                        <span>Expiră: {formatExpiry(i)}</span>
                       </div>
                       <button className="ghost" onClick={() => markAvailable(i.id)}>
                         Fă disponibil
@@ -484,13 +2721,42 @@ function App() {
                   {ownerClaims.map((c) => (
                     <li key={c.id} className="list-item">
                       <div className="item-title">{c.item?.title || `Produs #${c.itemId}`}</div>
-                      <div className="item-meta">Solicitant: {c.claimer?.name}</div>
-                      <div className="actions">
-                        <button onClick={() => decideClaim(c.id, 'ACCEPTED')}>Acceptă</button>
-                        <button className="ghost" onClick={() => decideClaim(c.id, 'REJECTED')}>
-                          Respinge
-                        </button>
+                      <div className="item-meta">
+                        <span>Solicitant: {c.claimer?.name}</span>
+                        <span>•</span>
+                        <span>
+                          {c.quantity !== null ? formatQuantity(c.quantity, c.item?.unit) : 'Tot produsul'}
+                        </span>
                       </div>
+                      <div className="item-meta">Status: {c.status}</div>
+                      <PickupSchedule claim={c} onReschedule={rescheduleClaim} onExport={downloadPickupIcs} />
+                      <button
+                        type="button"
+                        className="link"
+                        onClick={() => setOpenClaimChat(openClaimChat === c.id ? null : c.id)}
+                      >
+                        {openClaimChat === c.id ? 'Ascunde mesajele' : 'Mesaje cu solicitantul'}
+                      </button>
+                      {openClaimChat === c.id && (
+                        <ClaimChat claimId={c.id} token={token} userId={user.id} onError={setError} />
+                      )}
+                      {c.status === 'PENDING' && (
+                        <div className="actions">
+                          <button onClick={() => decideClaim(c.id, 'ACCEPTED')}>Acceptă</button>
+                          <button className="ghost" onClick={() => decideClaim(c.id, 'REJECTED')}>
+                            Respinge
+                          </button>
+                        </div>
+                      )}
+                      {c.status === 'ACCEPTED' && (
+                        <div className="actions">
+                          {c.ownerConfirmedAt ? (
+                            <span className="muted">Ai confirmat predarea, se așteaptă solicitantul.</span>
+                          ) : (
+                            <button onClick={() => claimAction(c.id, 'pickup')}>Confirmă predarea</button>
+                          )}
+                        </div>
+                      )}
                     </li>
                   ))}
                 </ul>
@@ -519,7 +2785,7 @@ function App() {
                     onChange={(e) => setNewMember({ ...newMember, groupId: e.target.value })}
                   >
                     <option value="">Alege grup</option>
-                    {groups.map((g) => (
+                    {groups.filter((g) => ['OWNER', 'ADMIN'].includes(groupRole(g))).map((g) => (
                       <option key={g.id} value={g.id}>
                         {g.name}
                       </option>
@@ -573,19 +2839,132 @@ function App() {
               <div className="groups">
                 {groups.map((g) => (
                   <div key={g.id} className="group">
-                    <div className="item-title">{g.name}</div>
+                    <div className="item-title">
+                      {g.name}
+                      {g.unreadCount > 0 && <span className="badge">{g.unreadCount} necitite</span>}
+                    </div>
                     <div className="item-meta">
                       {g.members?.map((m) => `${m.user.name}${m.tag ? ` (${m.tag})` : ''}`).join(', ') ||
                         'Fără membri'}
                     </div>
-                    <div className="item-meta">
-                      Link invitație: <span className="muted">{`${inviteBase}?group=${g.id}`}</span>
-                    </div>
+                    {inviteLinks[g.id] && (
+                      <div className="item-meta invite-link">
+                        <span>Link invitație (expiră {new Date(inviteLinks[g.id].expiresAt).toLocaleString()}):</span>
+                        <input readOnly value={inviteLinks[g.id].url} onFocus={(e) => e.target.select()} />
+                      </div>
+                    )}
                 <div className="actions" style={{ marginTop: '8px' }}>
                   <button className="ghost" onClick={() => { selectGroup(String(g.id)); }}>
                     Vezi alimente în grup
                   </button>
+                  {['OWNER', 'ADMIN'].includes(groupRole(g)) && (
+                    <button
+                      className="ghost"
+                      onClick={() => setManageGroup(manageGroup?.id === g.id ? null : { id: g.id, name: g.name })}
+                    >
+                      {manageGroup?.id === g.id ? 'Închide administrarea' : 'Administrează'}
+                    </button>
+                  )}
+                  {groupRole(g) !== 'OWNER' && (
+                    <button
+                      className="ghost"
+                      onClick={() => groupAction(g.id, '/leave', { method: 'POST' }, `Părăsești grupul ${g.name}?`)}
+                    >
+                      Părăsește grupul
+                    </button>
+                  )}
                 </div>
+                {manageGroup?.id === g.id && (
+                  <div className="group-admin">
+                    <div className="form">
+                      <label>
+                        <span>Valabilitate invitație</span>
+                        <select
+                          value={inviteOptions.expiresInHours}
+                          onChange={(e) => setInviteOptions({ ...inviteOptions, expiresInHours: Number(e.target.value) })}
+                        >
+                          <option value={24}>24 de ore</option>
+                          <option value={72}>3 zile</option>
+                          <option value={168}>7 zile</option>
+                        </select>
+                      </label>
+                      <label className="checkbox">
+                        <input
+                          type="checkbox"
+                          checked={inviteOptions.singleUse}
+                          onChange={(e) => setInviteOptions({ ...inviteOptions, singleUse: e.target.checked })}
+                        />
+                        <span>Folosire unică</span>
+                      </label>
+                      <button type="button" onClick={() => createInvite(g.id)}>
+                        Generează link de invitație
+                      </button>
+                    </div>
+                    <form className="form" onSubmit={renameGroup}>
+                      <label>
+                        <span>Redenumește</span>
+                        <input
+                          value={manageGroup.name}
+                          onChange={(e) => setManageGroup({ ...manageGroup, name: e.target.value })}
+                        />
+                      </label>
+                      <button type="submit">Salvează numele</button>
+                    </form>
+                    <ul className="list">
+                      {g.members?.map((m) => (
+                        <li key={m.id} className="list-item">
+                          <div className="item-title">{m.user.name}</div>
+                          <div className="item-meta">{m.role === 'ADMIN' ? 'Admin' : 'Membru'}</div>
+                          <div className="actions">
+                            {groupRole(g) === 'OWNER' && (
+                              <>
+                                <button
+                                  className="ghost"
+                                  onClick={() => groupAction(g.id, `/members/${m.userId}`, {
+                                    method: 'PATCH',
+                                    body: JSON.stringify({ role: m.role === 'ADMIN' ? 'MEMBER' : 'ADMIN' }),
+                                  })}
+                                >
+                                  {m.role === 'ADMIN' ? 'Retrage admin' : 'Fă admin'}
+                                </button>
+                                <button
+                                  className="ghost"
+                                  onClick={() => groupAction(g.id, '/transfer', {
+                                    method: 'POST',
+                                    body: JSON.stringify({ userId: m.userId }),
+                                  }, `Transferi grupul către ${m.user.name}?`)}
+                                >
+                                  Fă proprietar
+                                </button>
+                              </>
+                            )}
+                            {(groupRole(g) === 'OWNER' || m.role === 'MEMBER') && (
+                              <button
+                                className="ghost"
+                                onClick={() => groupAction(
+                                  g.id,
+                                  `/members/${m.userId}`,
+                                  { method: 'DELETE' },
+                                  `Elimini pe ${m.user.name} din grup?`
+                                )}
+                              >
+                                Elimină
+                              </button>
+                            )}
+                          </div>
+                        </li>
+                      ))}
+                    </ul>
+                    {groupRole(g) === 'OWNER' && (
+                      <button
+                        className="ghost"
+                        onClick={() => groupAction(g.id, '', { method: 'DELETE' }, `Ștergi definitiv grupul ${g.name}?`)}
+                      >
+                        Șterge grupul
+                      </button>
+                    )}
+                  </div>
+                )}
                   </div>
                 ))}
               </div>
@@ -595,21 +2974,93 @@ function App() {
           <main className="content grid-2">
             <section className="panel">
               <h2>Produse disponibile (claim)</h2>
+              <ItemFilters
+                filters={availableFilters}
+                categories={categories}
+                onChange={setAvailableFilters}
+                onSubmit={applyAvailableFilters}
+                nearby={hasLocation(user)}
+              />
+              <p className="muted">
+                {available.total} produse disponibile
+                {available.nextCursor && (
+                  <>
+                    {' '}
+                    <button
+                      type="button"
+                      className="link"
+                      onClick={() => loadAvailablePage(availableFilters, available.nextCursor)}
+                    >
+                      Încarcă mai multe
+                    </button>
+                  </>
+                )}
+              </p>
+              {availableItems.some((i) => i.photos?.length > 0) && (
+                <div className="photo-strip">
+                  {availableItems.filter((i) => i.photos?.length > 0).map((i) => (
+                    <button
+                      key={i.id}
+                      type="button"
+                      className={`photo${newClaim.itemId === String(i.id) ? ' selected' : ''}`}
+                      title={i.title}
+                      onClick={() => setNewClaim({ itemId: String(i.id), quantity: '', pickupSlotId: '' })}
+                    >
+                      <img src={mediaUrl(i.photos[0].thumbnailKey)} alt={i.title} loading="lazy" />
+                    </button>
+                  ))}
+                </div>
+              )}
               <form className="form" onSubmit={createClaim}>
                 <label>
                   <span>Produs</span>
                   <select
                     value={newClaim.itemId}
-                    onChange={(e) => setNewClaim({ ...newClaim, itemId: e.target.value })}
+                    onChange={(e) => setNewClaim({ itemId: e.target.value, quantity: '', pickupSlotId: '' })}
                   >
                     <option value="">Alege produs</option>
                     {availableItems.map((i) => (
                       <option key={i.id} value={i.id}>
-                        {i.title} — {i.owner?.name || 'Utilizator'}
+                        {i.title}
+                        {i.quantity !== null && ` (${formatQuantity(i.quantity, i.unit)})`}
+                        {i.quantityNote && ` (${i.quantityNote})`} — {i.owner?.name || 'Utilizator'}
+                        {i.locationLabel && `, ${i.locationLabel}`}
+                        {i.distanceKm !== undefined && ` · ${i.distanceKm} km`}
+                        {i.tags.length > 0 && ` [${i.tags.map((t) => tagLabel(t.tag)).join(', ')}]`}
                       </option>
                     ))}
                   </select>
                 </label>
+                <PhotoStrip photos={claimTarget?.photos} />
+                {claimTarget?.quantity != null && (
+                  <label>
+                    <span>Cantitate dorită (gol = tot, {formatQuantity(claimTarget.quantity, claimTarget.unit)})</span>
+                    <input
+                      type="number"
+                      min="0"
+                      max={claimTarget.quantity}
+                      step="any"
+                      value={newClaim.quantity}
+                      onChange={(e) => setNewClaim({ ...newClaim, quantity: e.target.value })}
+                    />
+                  </label>
+                )}
+                {claimTarget?.pickupSlots?.length > 0 && (
+                  <label>
+                    <span>Interval de ridicare</span>
+                    <select
+                      value={newClaim.pickupSlotId}
+                      onChange={(e) => setNewClaim({ ...newClaim, pickupSlotId: e.target.value })}
+                    >
+                      <option value="">Stabilim ulterior</option>
+                      {claimTarget.pickupSlots.map((slot) => (
+                        <option key={slot.id} value={slot.id}>
+                          {formatSlot(slot)}
+                        </option>
+                      ))}
+                    </select>
+                  </label>
+                )}
                 <button type="submit">Trimite claim</button>
               </form>
 
@@ -621,7 +3072,38 @@ function App() {
                   {myClaims.map((c) => (
                     <li key={c.id} className="list-item">
                       <div className="item-title">{c.item?.title || `Produs #${c.itemId}`}</div>
-                      <div className="item-meta">Status: {c.status}</div>
+                      <div className="item-meta">
+                        <span>Status: {c.status}</span>
+                        {c.quantity !== null && (
+                          <>
+                            <span>•</span>
+                            <span>{formatQuantity(c.quantity, c.item?.unit)}</span>
+                          </>
+                        )}
+                      </div>
+                      <PickupSchedule claim={c} onReschedule={rescheduleClaim} onExport={downloadPickupIcs} />
+                      <button
+                        type="button"
+                        className="link"
+                        onClick={() => setOpenClaimChat(openClaimChat === c.id ? null : c.id)}
+                      >
+                        {openClaimChat === c.id ? 'Ascunde mesajele' : 'Mesaje cu proprietarul'}
+                      </button>
+                      {openClaimChat === c.id && (
+                        <ClaimChat claimId={c.id} token={token} userId={user.id} onError={setError} />
+                      )}
+                      {['PENDING', 'ACCEPTED'].includes(c.status) && (
+                        <div className="actions">
+                          {c.status === 'ACCEPTED' && (c.claimerConfirmedAt ? (
+                            <span className="muted">Ai confirmat ridicarea, se așteaptă proprietarul.</span>
+                          ) : (
+                            <button onClick={() => claimAction(c.id, 'pickup')}>Confirmă ridicarea</button>
+                          ))}
+                          <button className="ghost" onClick={() => claimAction(c.id, 'cancel')}>
+                            Anulează
+                          </button>
+                        </div>
+                      )}
                     </li>
                   ))}
                 </ul>
@@ -630,24 +3112,96 @@ function App() {
 
             <section className="panel">
               <h2>Share pe social</h2>
-              <p className="muted">Stub: generează link pentru rețele.</p>
+              <p className="muted">Produsele tale disponibile și publice primesc o pagină proprie, cu previzualizare pe rețele.</p>
               <div className="actions">
-                {availableItems.slice(0, 3).map((i) => (
-                  <div key={i.id} className="share-row">
-                    <span>{i.title}</span>
-                    <div>
-                      <button onClick={() => shareItem(i.id, 'instagram')}>Instagram</button>
-                      <button className="ghost" onClick={() => shareItem(i.id, 'facebook')}>
-                        Facebook
-                      </button>
+                {pickerItems.filter((i) => i.status === 'AVAILABLE' && i.visibility === 'PUBLIC').map((i) => {
+                  const share = publicShares[i.id];
+                  return (
+                    <div key={i.id}>
+                      <div className="share-row">
+                        <span>{i.title}</span>
+                        <div>
+                          <button type="button" className="ghost" onClick={() => sharePublicly(i.id)}>
+                            {share ? 'Actualizează' : 'Creează link'}
+                          </button>
+                          {share && (
+                            <button type="button" className="ghost" onClick={() => revokePublicShare(i.id)}>
+                              Revocă
+                            </button>
+                          )}
+                        </div>
+                      </div>
+                      {share && (
+                        <div className="item-meta">
+                          <a href={share.url} target="_blank" rel="noreferrer">
+                            {share.url}
+                          </a>
+                          {Object.entries(SHARE_NETWORK_LABELS).map(([network, label]) => (
+                            <a key={network} href={share.links[network]} target="_blank" rel="noreferrer">
+                              {label} ({share.clicks[network] || 0})
+                            </a>
+                          ))}
+                          <span>Direct: {share.clicks.direct || 0}</span>
+                        </div>
+                      )}
                     </div>
-                  </div>
-                ))}
+                  );
+                })}
               </div>
-              {shareLink && (
-                <div className="alert">
-                  Link generat: <a href={shareLink}>{shareLink}</a>
-                </div>
+            </section>
+
+            <section className="panel">
+              <h2>Statistici risipă</h2>
+              {!stats || stats.months.length === 0 ? (
+                <p className="muted">Marchează produsele ca consumate, donate sau aruncate pentru a vedea raportul.</p>
+              ) : (
+                <>
+                  <div className="item-meta">
+                    <span>Salvate: {stats.totals.saved}</span>
+                    <span>•</span>
+                    <span>Aruncate: {stats.totals.wasted}</span>
+                  </div>
+                  <h3 style={{ marginTop: '12px' }}>Pe luni</h3>
+                  <table className="stats-table">
+                    <thead>
+                      <tr>
+                        <th>Luna</th>
+                        <th>Consumate</th>
+                        <th>Donate</th>
+                        <th>Aruncate</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {stats.months.map((m) => (
+                        <tr key={m.month}>
+                          <td>{m.month}</td>
+                          <td>{m.consumed}</td>
+                          <td>{m.donated}</td>
+                          <td>{m.wasted}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                  <h3 style={{ marginTop: '12px' }}>Pe categorii</h3>
+                  <table className="stats-table">
+                    <thead>
+                      <tr>
+                        <th>Categorie</th>
+                        <th>Salvate</th>
+                        <th>Aruncate</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {stats.categories.map((c) => (
+                        <tr key={c.category}>
+                          <td>{c.category}</td>
+                          <td>{c.saved}</td>
+                          <td>{c.wasted}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </>
               )}
             </section>
 
@@ -675,7 +3229,7 @@ function App() {
                     onChange={(e) => setNewClaim({ ...newClaim, itemId: e.target.value })}
                   >
                     <option value="">Alege produs</option>
-                    {items.map((i) => (
+                    {pickerItems.map((i) => (
                       <option key={i.id} value={i.id}>
                         {i.title} ({i.status})
                       </option>
@@ -696,10 +3250,27 @@ function App() {
                         <li key={i.id} className="list-item">
                           <div className="item-title">{i.title}</div>
                           <div className="item-meta">
-                            <span>{i.category?.name || 'Fără categorie'}</span>
+                            <span>{i.category ? categoryLabel(i.category) : 'Fără categorie'}</span>
                             <span>•</span>
                             <span>Owner: {i.owner?.name || 'Necunoscut'}</span>
                           </div>
+                          {i.tags?.length > 0 && (
+                            <div className="item-meta">{i.tags.map((t) => tagLabel(t.tag)).join(', ')}</div>
+                          )}
+                          <PhotoStrip photos={i.photos} />
+                          {i.match?.suits.length > 0 && (
+                            <div className="item-meta">Potrivit pentru: {i.match.suits.map((m) => m.name).join(', ')}</div>
+                          )}
+                          {i.match?.conflicts.map((c) => (
+                            <div key={c.userId} className="alert">
+                              ⚠ {c.name} este alergic(ă) la: {c.allergens.map(tagLabel).join(', ')}
+                            </div>
+                          ))}
+                          {i.match?.unverified.map((c) => (
+                            <div key={c.userId} className="item-meta">
+                              ⚠ {c.name}: nu se știe dacă produsul conține {c.allergens.map(tagLabel).join(', ')}
+                            </div>
+                          ))}
                         </li>
                       ))}
                     </ul>
@@ -715,6 +3286,16 @@ function App() {
               ) : (
                 <>
                   <div className="chat-box" style={{ maxHeight: '240px', overflowY: 'auto', marginBottom: '12px', border: '1px solid #e5e7eb', borderRadius: '8px', padding: '8px' }}>
+                    {messagesCursor && (
+                      <button
+                        type="button"
+                        className="ghost"
+                        style={{ width: '100%', marginBottom: '8px' }}
+                        onClick={() => loadGroupMessages(selectedGroup, messagesCursor)}
+                      >
+                        Încarcă mesaje mai vechi
+                      </button>
+                    )}
                     {groupMessages.length === 0 ? (
                       <p className="muted">Încă nu există mesaje.</p>
                     ) : (
@@ -723,11 +3304,51 @@ function App() {
                           <div className="item-title" style={{ fontSize: '14px' }}>{m.author?.name || 'Utilizator'}</div>
                           <div className="item-meta" style={{ fontSize: '12px' }}>
                             {new Date(m.createdAt).toLocaleString()}
+                            {m.editedAt && !m.deletedAt && <span>(editat)</span>}
                           </div>
-                          <div>{m.content}</div>
+                          {m.deletedAt ? (
+                            <div className="muted"><em>Mesaj șters</em></div>
+                          ) : editMessage?.id === m.id ? (
+                            <form className="form" onSubmit={saveMessage}>
+                              <textarea
+                                value={editMessage.content}
+                                onChange={(e) => setEditMessage({ ...editMessage, content: e.target.value })}
+                                rows={2}
+                              />
+                              <div className="actions">
+                                <button type="submit">Salvează</button>
+                                <button type="button" className="ghost" onClick={() => setEditMessage(null)}>
+                                  Renunță
+                                </button>
+                              </div>
+                            </form>
+                          ) : (
+                            <div>{m.content}</div>
+                          )}
+                          {!m.deletedAt && editMessage?.id !== m.id && (
+                            <div className="message-actions">
+                              {m.authorId === user.id && (
+                                <button
+                                  type="button"
+                                  className="link"
+                                  onClick={() => setEditMessage({ id: m.id, content: m.content })}
+                                >
+                                  Editează
+                                </button>
+                              )}
+                              {(m.authorId === user.id || ['OWNER', 'ADMIN'].includes(selectedGroupRole)) && (
+                                <button type="button" className="link" onClick={() => deleteMessage(m.id)}>
+                                  Șterge
+                                </button>
+                              )}
+                            </div>
+                          )}
                         </div>
                       ))
                     )}
+                    {seenBy.length > 0 && (
+                      <p className="muted" style={{ fontSize: '12px' }}>Văzut de: {seenBy.join(', ')}</p>
+                    )}
                   </div>
                   <form className="form" onSubmit={sendMessage}>
                     <label>
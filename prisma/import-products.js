@@ -0,0 +1,133 @@
+// Import the product catalog used for barcode lookups from an Open Food Facts dump.
+//
+//   node prisma/import-products.js <products.csv> [--country en:romania]
+//
+// Both the tab-separated full export and comma-separated CSV extracts are accepted; the
+// columns read are code, product_name, brands, categories_tags and countries_tags.
+// Re-running the import updates existing barcodes.
+const fs = require('fs');
+const readline = require('readline');
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+const BATCH_SIZE = 500;
+
+// First matching rule wins, so drinks and canned goods are tested before the fresh categories
+const CATEGORY_RULES = [
+  { name: 'Băuturi', shelfLifeDays: 180, keywords: ['beverages', 'drinks', 'juices', 'waters', 'sodas'] },
+  { name: 'Conserve', shelfLifeDays: 365, keywords: ['canned', 'preserves', 'pickles'] },
+  { name: 'Lactate', shelfLifeDays: 7, keywords: ['dairies', 'milks', 'cheeses', 'yogurts', 'butters', 'creams'] },
+  { name: 'Carne', shelfLifeDays: 3, keywords: ['meats', 'poultry', 'sausages', 'hams', 'fishes', 'seafood'] },
+  { name: 'Legume', shelfLifeDays: 7, keywords: ['vegetables', 'legumes'] },
+  { name: 'Fructe', shelfLifeDays: 5, keywords: ['fruits'] },
+];
+
+// Split one CSV/TSV line; quoted fields may contain the separator and doubled quotes
+const splitLine = (line, separator) => {
+  if (separator === '\t') return line.split('\t');
+  const fields = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i += 1) {
+    const c = line[i];
+    if (quoted) {
+      if (c === '"' && line[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        field += c;
+      }
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === separator) {
+      fields.push(field);
+      field = '';
+    } else {
+      field += c;
+    }
+  }
+  fields.push(field);
+  return fields;
+};
+
+const matchCategory = (tags) => {
+  const text = tags.toLowerCase();
+  return CATEGORY_RULES.find((rule) => rule.keywords.some((k) => text.includes(k))) || null;
+};
+
+const parseArgs = (argv) => {
+  const [file, ...rest] = argv;
+  const countryIndex = rest.indexOf('--country');
+  return { file, country: countryIndex >= 0 ? rest[countryIndex + 1] : null };
+};
+
+const main = async () => {
+  const { file, country } = parseArgs(process.argv.slice(2));
+  if (!file) {
+    console.error('Usage: node prisma/import-products.js <products.csv> [--country en:romania]');
+    process.exit(1);
+  }
+
+  const categoryIds = {};
+  for (const rule of CATEGORY_RULES) {
+    const category = await prisma.foodCategory.findFirst({ where: { name: rule.name, ownerId: null } })
+      || await prisma.foodCategory.create({ data: { name: rule.name } });
+    categoryIds[rule.name] = category.id;
+  }
+
+  const lines = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+  let columns = null;
+  let separator = '\t';
+  let batch = [];
+  let imported = 0;
+
+  const flush = async () => {
+    if (batch.length === 0) return;
+    await prisma.$transaction(batch.map((product) => prisma.product.upsert({
+      where: { barcode: product.barcode },
+      update: product,
+      create: product,
+    })));
+    imported += batch.length;
+    batch = [];
+    console.log(`Imported ${imported} products`);
+  };
+
+  for await (const line of lines) {
+    if (!columns) {
+      separator = line.includes('\t') ? '\t' : ',';
+      columns = Object.fromEntries(splitLine(line, separator).map((name, index) => [name.trim(), index]));
+      if (columns.code === undefined || columns.product_name === undefined) {
+        throw new Error('CSV must have code and product_name columns');
+      }
+      continue;
+    }
+    const fields = splitLine(line, separator);
+    const get = (name) => (columns[name] === undefined ? '' : (fields[columns[name]] || '').trim());
+    const barcode = get('code');
+    const name = get('product_name');
+    if (!/^\d{8,14}$/.test(barcode) || !name) continue;
+    if (country && !get('countries_tags').split(',').includes(country)) continue;
+
+    const rule = matchCategory(get('categories_tags'));
+    batch.push({
+      barcode,
+      name: name.slice(0, 200),
+      brand: get('brands').split(',')[0].trim() || null,
+      categoryId: rule ? categoryIds[rule.name] : null,
+      shelfLifeDays: rule ? rule.shelfLifeDays : null,
+    });
+    if (batch.length >= BATCH_SIZE) await flush();
+  }
+  await flush();
+  console.log(`Done: ${imported} products imported`);
+};
+
+main()
+  .catch((err) => {
+    console.error('Error importing products:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => prisma.$disconnect());
@@ -0,0 +1,8 @@
+
+-- AlterTable
+ALTER TABLE "FoodItem" ADD COLUMN "quantity" REAL;
+ALTER TABLE "FoodItem" ADD COLUMN "unit" TEXT;
+
+-- AlterTable
+ALTER TABLE "Claim" ADD COLUMN "quantity" REAL;
+
@@ -0,0 +1,4 @@
+
+-- AlterTable
+ALTER TABLE "FoodItem" ADD COLUMN "closedAt" DATETIME;
+
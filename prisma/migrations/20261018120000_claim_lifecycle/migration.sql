@@ -0,0 +1,6 @@
+
+-- AlterTable
+ALTER TABLE "Claim" ADD COLUMN "claimerConfirmedAt" DATETIME;
+ALTER TABLE "Claim" ADD COLUMN "completedAt" DATETIME;
+ALTER TABLE "Claim" ADD COLUMN "ownerConfirmedAt" DATETIME;
+
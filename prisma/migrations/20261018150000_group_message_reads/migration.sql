@@ -0,0 +1,19 @@
+
+-- AlterTable
+ALTER TABLE "GroupMessage" ADD COLUMN "deletedAt" DATETIME;
+ALTER TABLE "GroupMessage" ADD COLUMN "editedAt" DATETIME;
+
+-- CreateTable
+CREATE TABLE "GroupRead" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "groupId" INTEGER NOT NULL,
+    "userId" INTEGER NOT NULL,
+    "lastReadMessageId" INTEGER NOT NULL,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "GroupRead_groupId_fkey" FOREIGN KEY ("groupId") REFERENCES "FriendGroup" ("id") ON DELETE RESTRICT ON UPDATE CASCADE,
+    CONSTRAINT "GroupRead_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User" ("id") ON DELETE RESTRICT ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "GroupRead_groupId_userId_key" ON "GroupRead"("groupId", "userId");
+
@@ -0,0 +1,23 @@
+
+-- RedefineTables
+PRAGMA defer_foreign_keys=ON;
+PRAGMA foreign_keys=OFF;
+CREATE TABLE "new_User" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "name" TEXT NOT NULL,
+    "email" TEXT NOT NULL,
+    "passwordHash" TEXT NOT NULL DEFAULT '',
+    "digestEnabled" BOOLEAN NOT NULL DEFAULT false,
+    "digestHour" INTEGER NOT NULL DEFAULT 8,
+    "digestDays" INTEGER NOT NULL DEFAULT 3,
+    "digestTimezone" TEXT NOT NULL DEFAULT 'Europe/Bucharest',
+    "lastDigestAt" DATETIME,
+    "created_at" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+INSERT INTO "new_User" ("created_at", "email", "id", "name", "passwordHash") SELECT "created_at", "email", "id", "name", "passwordHash" FROM "User";
+DROP TABLE "User";
+ALTER TABLE "new_User" RENAME TO "User";
+CREATE UNIQUE INDEX "User_email_key" ON "User"("email");
+PRAGMA foreign_keys=ON;
+PRAGMA defer_foreign_keys=OFF;
+
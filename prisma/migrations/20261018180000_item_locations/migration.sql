@@ -0,0 +1,13 @@
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN "latitude" REAL;
+ALTER TABLE "User" ADD COLUMN "locationLabel" TEXT;
+ALTER TABLE "User" ADD COLUMN "longitude" REAL;
+
+-- AlterTable
+ALTER TABLE "FoodItem" ADD COLUMN "latitude" REAL;
+ALTER TABLE "FoodItem" ADD COLUMN "locationLabel" TEXT;
+ALTER TABLE "FoodItem" ADD COLUMN "longitude" REAL;
+
+-- CreateIndex
+CREATE INDEX "FoodItem_latitude_longitude_idx" ON "FoodItem"("latitude", "longitude");
+
@@ -0,0 +1,39 @@
+-- CreateTable
+CREATE TABLE "PickupSlot" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "itemId" INTEGER NOT NULL,
+    "startsAt" DATETIME NOT NULL,
+    "endsAt" DATETIME NOT NULL,
+    "created_at" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "PickupSlot_itemId_fkey" FOREIGN KEY ("itemId") REFERENCES "FoodItem" ("id") ON DELETE RESTRICT ON UPDATE CASCADE
+);
+
+-- RedefineTables
+PRAGMA defer_foreign_keys=ON;
+PRAGMA foreign_keys=OFF;
+CREATE TABLE "new_Claim" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "itemId" INTEGER NOT NULL,
+    "claimerId" INTEGER NOT NULL,
+    "quantity" REAL,
+    "status" TEXT NOT NULL DEFAULT 'PENDING',
+    "created_at" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "decidedAt" DATETIME,
+    "ownerConfirmedAt" DATETIME,
+    "claimerConfirmedAt" DATETIME,
+    "completedAt" DATETIME,
+    "pickupSlotId" INTEGER,
+    "pickupReminderSentAt" DATETIME,
+    CONSTRAINT "Claim_itemId_fkey" FOREIGN KEY ("itemId") REFERENCES "FoodItem" ("id") ON DELETE RESTRICT ON UPDATE CASCADE,
+    CONSTRAINT "Claim_claimerId_fkey" FOREIGN KEY ("claimerId") REFERENCES "User" ("id") ON DELETE RESTRICT ON UPDATE CASCADE,
+    CONSTRAINT "Claim_pickupSlotId_fkey" FOREIGN KEY ("pickupSlotId") REFERENCES "PickupSlot" ("id") ON DELETE SET NULL ON UPDATE CASCADE
+);
+INSERT INTO "new_Claim" ("claimerConfirmedAt", "claimerId", "completedAt", "created_at", "decidedAt", "id", "itemId", "ownerConfirmedAt", "quantity", "status") SELECT "claimerConfirmedAt", "claimerId", "completedAt", "created_at", "decidedAt", "id", "itemId", "ownerConfirmedAt", "quantity", "status" FROM "Claim";
+DROP TABLE "Claim";
+ALTER TABLE "new_Claim" RENAME TO "Claim";
+PRAGMA foreign_keys=ON;
+PRAGMA defer_foreign_keys=OFF;
+
+-- CreateIndex
+CREATE INDEX "PickupSlot_itemId_startsAt_idx" ON "PickupSlot"("itemId", "startsAt");
+
@@ -0,0 +1,29 @@
+-- RedefineTables
+PRAGMA defer_foreign_keys=ON;
+PRAGMA foreign_keys=OFF;
+CREATE TABLE "new_FoodItem" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "title" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'IN_FRIDGE',
+    "visibility" TEXT NOT NULL DEFAULT 'PUBLIC',
+    "expiresAt" DATETIME,
+    "quantity" REAL,
+    "unit" TEXT,
+    "closedAt" DATETIME,
+    "latitude" REAL,
+    "longitude" REAL,
+    "locationLabel" TEXT,
+    "ownerId" INTEGER NOT NULL,
+    "categoryId" INTEGER,
+    "created_at" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "FoodItem_ownerId_fkey" FOREIGN KEY ("ownerId") REFERENCES "User" ("id") ON DELETE RESTRICT ON UPDATE CASCADE,
+    CONSTRAINT "FoodItem_categoryId_fkey" FOREIGN KEY ("categoryId") REFERENCES "FoodCategory" ("id") ON DELETE SET NULL ON UPDATE CASCADE
+);
+INSERT INTO "new_FoodItem" ("categoryId", "closedAt", "created_at", "expiresAt", "id", "latitude", "locationLabel", "longitude", "ownerId", "quantity", "status", "title", "unit") SELECT "categoryId", "closedAt", "created_at", "expiresAt", "id", "latitude", "locationLabel", "longitude", "ownerId", "quantity", "status", "title", "unit" FROM "FoodItem";
+DROP TABLE "FoodItem";
+ALTER TABLE "new_FoodItem" RENAME TO "FoodItem";
+CREATE INDEX "FoodItem_latitude_longitude_idx" ON "FoodItem"("latitude", "longitude");
+CREATE UNIQUE INDEX "FoodItem_id_ownerId_key" ON "FoodItem"("id", "ownerId");
+PRAGMA foreign_keys=ON;
+PRAGMA defer_foreign_keys=OFF;
+
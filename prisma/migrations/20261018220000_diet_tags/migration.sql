@@ -0,0 +1,21 @@
+-- CreateTable
+CREATE TABLE "FoodItemTag" (
+    "itemId" INTEGER NOT NULL,
+    "tag" TEXT NOT NULL,
+
+    PRIMARY KEY ("itemId", "tag"),
+    CONSTRAINT "FoodItemTag_itemId_fkey" FOREIGN KEY ("itemId") REFERENCES "FoodItem" ("id") ON DELETE RESTRICT ON UPDATE CASCADE
+);
+
+-- CreateTable
+CREATE TABLE "UserDietTag" (
+    "userId" INTEGER NOT NULL,
+    "tag" TEXT NOT NULL,
+
+    PRIMARY KEY ("userId", "tag"),
+    CONSTRAINT "UserDietTag_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User" ("id") ON DELETE RESTRICT ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX "FoodItemTag_tag_idx" ON "FoodItemTag"("tag");
+
@@ -0,0 +1,11 @@
+-- CreateTable
+CREATE TABLE "Product" (
+    "barcode" TEXT NOT NULL PRIMARY KEY,
+    "name" TEXT NOT NULL,
+    "brand" TEXT,
+    "categoryId" INTEGER,
+    "shelfLifeDays" INTEGER,
+    "created_at" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "Product_categoryId_fkey" FOREIGN KEY ("categoryId") REFERENCES "FoodCategory" ("id") ON DELETE SET NULL ON UPDATE CASCADE
+);
+
@@ -0,0 +1,46 @@
+-- AlterTable
+ALTER TABLE "FoodCategory" ADD COLUMN "freezerDays" INTEGER;
+ALTER TABLE "FoodCategory" ADD COLUMN "fridgeDays" INTEGER;
+ALTER TABLE "FoodCategory" ADD COLUMN "openedDays" INTEGER;
+ALTER TABLE "FoodCategory" ADD COLUMN "pantryDays" INTEGER;
+
+-- RedefineTables
+PRAGMA defer_foreign_keys=ON;
+PRAGMA foreign_keys=OFF;
+CREATE TABLE "new_FoodItem" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "title" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'IN_FRIDGE',
+    "visibility" TEXT NOT NULL DEFAULT 'PUBLIC',
+    "expiresAt" DATETIME,
+    "expiresEstimated" BOOLEAN NOT NULL DEFAULT false,
+    "storage" TEXT NOT NULL DEFAULT 'FRIDGE',
+    "openedAt" DATETIME,
+    "quantity" REAL,
+    "unit" TEXT,
+    "closedAt" DATETIME,
+    "latitude" REAL,
+    "longitude" REAL,
+    "locationLabel" TEXT,
+    "ownerId" INTEGER NOT NULL,
+    "categoryId" INTEGER,
+    "created_at" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "FoodItem_ownerId_fkey" FOREIGN KEY ("ownerId") REFERENCES "User" ("id") ON DELETE RESTRICT ON UPDATE CASCADE,
+    CONSTRAINT "FoodItem_categoryId_fkey" FOREIGN KEY ("categoryId") REFERENCES "FoodCategory" ("id") ON DELETE SET NULL ON UPDATE CASCADE
+);
+INSERT INTO "new_FoodItem" ("categoryId", "closedAt", "created_at", "expiresAt", "id", "latitude", "locationLabel", "longitude", "ownerId", "quantity", "status", "title", "unit", "visibility") SELECT "categoryId", "closedAt", "created_at", "expiresAt", "id", "latitude", "locationLabel", "longitude", "ownerId", "quantity", "status", "title", "unit", "visibility" FROM "FoodItem";
+DROP TABLE "FoodItem";
+ALTER TABLE "new_FoodItem" RENAME TO "FoodItem";
+CREATE INDEX "FoodItem_latitude_longitude_idx" ON "FoodItem"("latitude", "longitude");
+CREATE UNIQUE INDEX "FoodItem_id_ownerId_key" ON "FoodItem"("id", "ownerId");
+PRAGMA foreign_keys=ON;
+PRAGMA defer_foreign_keys=OFF;
+
+
+-- Default shelf-life rules (days) for the built-in categories
+UPDATE "FoodCategory" SET "fridgeDays" = 7, "freezerDays" = 90, "openedDays" = 3 WHERE "name" = 'Lactate';
+UPDATE "FoodCategory" SET "fridgeDays" = 7, "freezerDays" = 240, "pantryDays" = 3, "openedDays" = 3 WHERE "name" = 'Legume';
+UPDATE "FoodCategory" SET "fridgeDays" = 7, "freezerDays" = 240, "pantryDays" = 4, "openedDays" = 2 WHERE "name" = 'Fructe';
+UPDATE "FoodCategory" SET "fridgeDays" = 3, "freezerDays" = 120, "openedDays" = 1 WHERE "name" = 'Carne';
+UPDATE "FoodCategory" SET "fridgeDays" = 365, "pantryDays" = 365, "openedDays" = 4 WHERE "name" = 'Conserve';
+UPDATE "FoodCategory" SET "fridgeDays" = 180, "pantryDays" = 180, "openedDays" = 5 WHERE "name" = 'Băuturi';
@@ -0,0 +1,43 @@
+-- RedefineTables
+PRAGMA defer_foreign_keys=ON;
+PRAGMA foreign_keys=OFF;
+CREATE TABLE "new_FoodCategory" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "name" TEXT NOT NULL,
+    "icon" TEXT,
+    "color" TEXT,
+    "ownerId" INTEGER,
+    "fridgeDays" INTEGER,
+    "freezerDays" INTEGER,
+    "pantryDays" INTEGER,
+    "openedDays" INTEGER,
+    "created_at" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "FoodCategory_ownerId_fkey" FOREIGN KEY ("ownerId") REFERENCES "User" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+INSERT INTO "new_FoodCategory" ("created_at", "freezerDays", "fridgeDays", "id", "name", "openedDays", "pantryDays") SELECT "created_at", "freezerDays", "fridgeDays", "id", "name", "openedDays", "pantryDays" FROM "FoodCategory";
+DROP TABLE "FoodCategory";
+ALTER TABLE "new_FoodCategory" RENAME TO "FoodCategory";
+CREATE UNIQUE INDEX "FoodCategory_ownerId_name_key" ON "FoodCategory"("ownerId", "name");
+PRAGMA foreign_keys=ON;
+PRAGMA defer_foreign_keys=OFF;
+
+
+-- Built-in categories are seeded once here instead of on every request
+INSERT INTO "FoodCategory" ("name", "icon", "color", "fridgeDays", "freezerDays", "pantryDays", "openedDays")
+SELECT v."name", v."icon", v."color", v."fridgeDays", v."freezerDays", v."pantryDays", v."openedDays"
+FROM (
+    SELECT 'Lactate' AS "name", '🥛' AS "icon", '#f5f0e1' AS "color", 7 AS "fridgeDays", 90 AS "freezerDays", NULL AS "pantryDays", 3 AS "openedDays"
+    UNION ALL SELECT 'Legume', '🥕', '#e3f4d7', 7, 240, 3, 3
+    UNION ALL SELECT 'Fructe', '🍎', '#fde2e1', 7, 240, 4, 2
+    UNION ALL SELECT 'Carne', '🥩', '#f9d6d0', 3, 120, NULL, 1
+    UNION ALL SELECT 'Conserve', '🥫', '#ece4d8', 365, NULL, 365, 4
+    UNION ALL SELECT 'Băuturi', '🧃', '#dcefff', 180, NULL, 180, 5
+) AS v
+WHERE NOT EXISTS (SELECT 1 FROM "FoodCategory" c WHERE c."name" = v."name" AND c."ownerId" IS NULL);
+
+UPDATE "FoodCategory" SET "icon" = '🥛', "color" = '#f5f0e1' WHERE "name" = 'Lactate' AND "ownerId" IS NULL AND "icon" IS NULL;
+UPDATE "FoodCategory" SET "icon" = '🥕', "color" = '#e3f4d7' WHERE "name" = 'Legume' AND "ownerId" IS NULL AND "icon" IS NULL;
+UPDATE "FoodCategory" SET "icon" = '🍎', "color" = '#fde2e1' WHERE "name" = 'Fructe' AND "ownerId" IS NULL AND "icon" IS NULL;
+UPDATE "FoodCategory" SET "icon" = '🥩', "color" = '#f9d6d0' WHERE "name" = 'Carne' AND "ownerId" IS NULL AND "icon" IS NULL;
+UPDATE "FoodCategory" SET "icon" = '🥫', "color" = '#ece4d8' WHERE "name" = 'Conserve' AND "ownerId" IS NULL AND "icon" IS NULL;
+UPDATE "FoodCategory" SET "icon" = '🧃', "color" = '#dcefff' WHERE "name" = 'Băuturi' AND "ownerId" IS NULL AND "icon" IS NULL;
@@ -0,0 +1,21 @@
+-- CreateTable
+CREATE TABLE "ItemPhoto" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "itemId" INTEGER NOT NULL,
+    "key" TEXT NOT NULL,
+    "thumbnailKey" TEXT NOT NULL,
+    "width" INTEGER NOT NULL,
+    "height" INTEGER NOT NULL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "ItemPhoto_itemId_fkey" FOREIGN KEY ("itemId") REFERENCES "FoodItem" ("id") ON DELETE RESTRICT ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ItemPhoto_key_key" ON "ItemPhoto"("key");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ItemPhoto_thumbnailKey_key" ON "ItemPhoto"("thumbnailKey");
+
+-- CreateIndex
+CREATE INDEX "ItemPhoto_itemId_idx" ON "ItemPhoto"("itemId");
+
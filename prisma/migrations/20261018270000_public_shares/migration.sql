@@ -0,0 +1,28 @@
+-- CreateTable
+CREATE TABLE "PublicShare" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "slug" TEXT NOT NULL,
+    "itemId" INTEGER NOT NULL,
+    "revokedAt" DATETIME,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "PublicShare_itemId_fkey" FOREIGN KEY ("itemId") REFERENCES "FoodItem" ("id") ON DELETE RESTRICT ON UPDATE CASCADE
+);
+
+-- CreateTable
+CREATE TABLE "ShareClick" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "shareId" INTEGER NOT NULL,
+    "network" TEXT NOT NULL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "ShareClick_shareId_fkey" FOREIGN KEY ("shareId") REFERENCES "PublicShare" ("id") ON DELETE RESTRICT ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "PublicShare_slug_key" ON "PublicShare"("slug");
+
+-- CreateIndex
+CREATE INDEX "PublicShare_itemId_idx" ON "PublicShare"("itemId");
+
+-- CreateIndex
+CREATE INDEX "ShareClick_shareId_network_idx" ON "ShareClick"("shareId", "network");
+
@@ -0,0 +1,39 @@
+-- AlterTable
+ALTER TABLE "FoodItem" ADD COLUMN "quantityNote" TEXT;
+
+-- RedefineTables
+PRAGMA defer_foreign_keys=ON;
+PRAGMA foreign_keys=OFF;
+CREATE TABLE "new_User" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "name" TEXT NOT NULL,
+    "email" TEXT NOT NULL,
+    "passwordHash" TEXT NOT NULL DEFAULT '',
+    "isSystem" BOOLEAN NOT NULL DEFAULT false,
+    "digestEnabled" BOOLEAN NOT NULL DEFAULT false,
+    "digestHour" INTEGER NOT NULL DEFAULT 8,
+    "digestDays" INTEGER NOT NULL DEFAULT 3,
+    "digestTimezone" TEXT NOT NULL DEFAULT 'Europe/Bucharest',
+    "lastDigestAt" DATETIME,
+    "latitude" REAL,
+    "longitude" REAL,
+    "locationLabel" TEXT,
+    "created_at" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+INSERT INTO "new_User" ("created_at", "digestDays", "digestEnabled", "digestHour", "digestTimezone", "email", "id", "lastDigestAt", "latitude", "locationLabel", "longitude", "name", "passwordHash") SELECT "created_at", "digestDays", "digestEnabled", "digestHour", "digestTimezone", "email", "id", "lastDigestAt", "latitude", "locationLabel", "longitude", "name", "passwordHash" FROM "User";
+DROP TABLE "User";
+ALTER TABLE "new_User" RENAME TO "User";
+CREATE UNIQUE INDEX "User_email_key" ON "User"("email");
+PRAGMA foreign_keys=ON;
+PRAGMA defer_foreign_keys=OFF;
+
+-- Legacy donations become public, available items of the system user that owns anonymous donations
+INSERT INTO "User" ("name", "email", "isSystem") VALUES ('Donație anonimă', 'donations@food-waste.local', true);
+INSERT INTO "FoodItem" ("title", "status", "visibility", "quantityNote", "locationLabel", "ownerId", "created_at")
+SELECT "item", 'AVAILABLE', 'PUBLIC', "quantity", "location", (SELECT "id" FROM "User" WHERE "email" = 'donations@food-waste.local'), "created_at"
+FROM "donations";
+
+-- DropTable
+PRAGMA foreign_keys=off;
+DROP TABLE "donations";
+PRAGMA foreign_keys=on;
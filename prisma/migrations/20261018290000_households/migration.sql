@@ -0,0 +1,62 @@
+-- CreateTable
+CREATE TABLE "Household" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "name" TEXT NOT NULL,
+    "created_at" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- CreateTable
+CREATE TABLE "HouseholdMember" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "householdId" INTEGER NOT NULL,
+    "userId" INTEGER NOT NULL,
+    "isAdmin" BOOLEAN NOT NULL DEFAULT false,
+    "canShare" BOOLEAN NOT NULL DEFAULT true,
+    "canManageClaims" BOOLEAN NOT NULL DEFAULT false,
+    "created_at" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "HouseholdMember_householdId_fkey" FOREIGN KEY ("householdId") REFERENCES "Household" ("id") ON DELETE RESTRICT ON UPDATE CASCADE,
+    CONSTRAINT "HouseholdMember_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User" ("id") ON DELETE RESTRICT ON UPDATE CASCADE
+);
+
+-- RedefineTables
+PRAGMA defer_foreign_keys=ON;
+PRAGMA foreign_keys=OFF;
+CREATE TABLE "new_FoodItem" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "title" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'IN_FRIDGE',
+    "visibility" TEXT NOT NULL DEFAULT 'PUBLIC',
+    "expiresAt" DATETIME,
+    "expiresEstimated" BOOLEAN NOT NULL DEFAULT false,
+    "storage" TEXT NOT NULL DEFAULT 'FRIDGE',
+    "openedAt" DATETIME,
+    "quantity" REAL,
+    "unit" TEXT,
+    "quantityNote" TEXT,
+    "closedAt" DATETIME,
+    "latitude" REAL,
+    "longitude" REAL,
+    "locationLabel" TEXT,
+    "ownerId" INTEGER NOT NULL,
+    "categoryId" INTEGER,
+    "householdId" INTEGER,
+    "created_at" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "FoodItem_ownerId_fkey" FOREIGN KEY ("ownerId") REFERENCES "User" ("id") ON DELETE RESTRICT ON UPDATE CASCADE,
+    CONSTRAINT "FoodItem_categoryId_fkey" FOREIGN KEY ("categoryId") REFERENCES "FoodCategory" ("id") ON DELETE SET NULL ON UPDATE CASCADE,
+    CONSTRAINT "FoodItem_householdId_fkey" FOREIGN KEY ("householdId") REFERENCES "Household" ("id") ON DELETE SET NULL ON UPDATE CASCADE
+);
+INSERT INTO "new_FoodItem" ("categoryId", "closedAt", "created_at", "expiresAt", "expiresEstimated", "id", "latitude", "locationLabel", "longitude", "openedAt", "ownerId", "quantity", "quantityNote", "status", "storage", "title", "unit", "visibility") SELECT "categoryId", "closedAt", "created_at", "expiresAt", "expiresEstimated", "id", "latitude", "locationLabel", "longitude", "openedAt", "ownerId", "quantity", "quantityNote", "status", "storage", "title", "unit", "visibility" FROM "FoodItem";
+DROP TABLE "FoodItem";
+ALTER TABLE "new_FoodItem" RENAME TO "FoodItem";
+CREATE INDEX "FoodItem_latitude_longitude_idx" ON "FoodItem"("latitude", "longitude");
+CREATE INDEX "FoodItem_householdId_idx" ON "FoodItem"("householdId");
+CREATE UNIQUE INDEX "FoodItem_id_ownerId_key" ON "FoodItem"("id", "ownerId");
+PRAGMA foreign_keys=ON;
+PRAGMA defer_foreign_keys=OFF;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "HouseholdMember_userId_key" ON "HouseholdMember"("userId");
+
+-- CreateIndex
+CREATE INDEX "HouseholdMember_householdId_idx" ON "HouseholdMember"("householdId");
+
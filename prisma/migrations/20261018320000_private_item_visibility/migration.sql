@@ -0,0 +1,44 @@
+-- RedefineTables
+PRAGMA defer_foreign_keys=ON;
+PRAGMA foreign_keys=OFF;
+CREATE TABLE "new_FoodItem" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "title" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'IN_FRIDGE',
+    "visibility" TEXT NOT NULL DEFAULT 'PRIVATE',
+    "expiresAt" DATETIME,
+    "expiresEstimated" BOOLEAN NOT NULL DEFAULT false,
+    "storage" TEXT NOT NULL DEFAULT 'FRIDGE',
+    "openedAt" DATETIME,
+    "quantity" REAL,
+    "unit" TEXT,
+    "quantityNote" TEXT,
+    "closedAt" DATETIME,
+    "latitude" REAL,
+    "longitude" REAL,
+    "locationLabel" TEXT,
+    "ownerId" INTEGER NOT NULL,
+    "categoryId" INTEGER,
+    "householdId" INTEGER,
+    "created_at" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "FoodItem_ownerId_fkey" FOREIGN KEY ("ownerId") REFERENCES "User" ("id") ON DELETE RESTRICT ON UPDATE CASCADE,
+    CONSTRAINT "FoodItem_categoryId_fkey" FOREIGN KEY ("categoryId") REFERENCES "FoodCategory" ("id") ON DELETE SET NULL ON UPDATE CASCADE,
+    CONSTRAINT "FoodItem_householdId_fkey" FOREIGN KEY ("householdId") REFERENCES "Household" ("id") ON DELETE SET NULL ON UPDATE CASCADE
+);
+INSERT INTO "new_FoodItem" ("categoryId", "closedAt", "created_at", "expiresAt", "expiresEstimated", "householdId", "id", "latitude", "locationLabel", "longitude", "openedAt", "ownerId", "quantity", "quantityNote", "status", "storage", "title", "unit", "visibility") SELECT "categoryId", "closedAt", "created_at", "expiresAt", "expiresEstimated", "householdId", "id", "latitude", "locationLabel", "longitude", "openedAt", "ownerId", "quantity", "quantityNote", "status", "storage", "title", "unit", "visibility" FROM "FoodItem";
+DROP TABLE "FoodItem";
+ALTER TABLE "new_FoodItem" RENAME TO "FoodItem";
+CREATE INDEX "FoodItem_latitude_longitude_idx" ON "FoodItem"("latitude", "longitude");
+CREATE INDEX "FoodItem_householdId_idx" ON "FoodItem"("householdId");
+CREATE UNIQUE INDEX "FoodItem_id_ownerId_key" ON "FoodItem"("id", "ownerId");
+PRAGMA foreign_keys=ON;
+PRAGMA defer_foreign_keys=OFF;
+
+
+-- Items that were public only by the old default and are not on offer fall back to where they
+-- are shared; items already listed as AVAILABLE stay public so their listing keeps its audience
+UPDATE "FoodItem" SET "visibility" = CASE
+    WHEN EXISTS (SELECT 1 FROM "GroupShare" WHERE "GroupShare"."itemId" = "FoodItem"."id") THEN 'GROUPS'
+    ELSE 'PRIVATE'
+END
+WHERE "visibility" = 'PUBLIC' AND "status" <> 'AVAILABLE';
@@ -0,0 +1,9 @@
+-- AlterTable
+ALTER TABLE "FoodItem" ADD COLUMN "expiryNotifiedAt" DATETIME;
+
+
+-- Items already warned about keep their first warning as the marker
+UPDATE "FoodItem" SET "expiryNotifiedAt" = (
+    SELECT MIN("created_at") FROM "Notification"
+    WHERE "Notification"."type" = 'ITEM_EXPIRING' AND "Notification"."itemId" = "FoodItem"."id"
+);
@@ -0,0 +1,62 @@
+// Email verification and password reset. Both mail the user a link carrying a one-time token;
+// only its hash is stored, and issuing a new token voids the unused ones of the same kind.
+const crypto = require('crypto');
+const { hashToken } = require('./sessions');
+
+const TOKEN_LIFETIME_MS = {
+  VERIFY_EMAIL: 48 * 60 * 60 * 1000,
+  RESET_PASSWORD: 60 * 60 * 1000,
+};
+
+const renderVerificationMail = (user, link) => ({
+  to: user.email,
+  subject: 'Confirmă adresa de email',
+  text: [`Salut ${user.name},`, '', 'Confirmă adresa de email a contului Food Waste Tracker deschizând linkul:',
+    link, '', 'Linkul este valabil 48 de ore.'].join('\n'),
+});
+
+const renderPasswordResetMail = (user, link) => ({
+  to: user.email,
+  subject: 'Resetarea parolei',
+  text: [`Salut ${user.name},`, '', 'Alege o parolă nouă deschizând linkul:', link, '',
+    'Linkul este valabil o oră. Dacă nu ai cerut resetarea, ignoră acest email.'].join('\n'),
+});
+
+const createAccountTokens = ({ prisma }) => {
+  // Returns the raw token; it is only ever seen in the email
+  const issue = async (user, type) => {
+    const token = crypto.randomBytes(32).toString('base64url');
+    await prisma.$transaction([
+      prisma.accountToken.updateMany({ where: { userId: user.id, type, usedAt: null }, data: { usedAt: new Date() } }),
+      prisma.accountToken.create({
+        data: {
+          userId: user.id,
+          type,
+          tokenHash: hashToken(token),
+          email: user.email,
+          expiresAt: new Date(Date.now() + TOKEN_LIFETIME_MS[type]),
+        },
+      }),
+    ]);
+    return token;
+  };
+
+  // Mark a token used and return it with its user; null when unknown, used, expired or stale
+  const consume = async (token, type) => {
+    const record = await prisma.accountToken.findUnique({
+      where: { tokenHash: hashToken(String(token)) },
+      include: { user: true },
+    });
+    if (!record || record.type !== type || record.usedAt || record.expiresAt <= new Date()) return null;
+    if (record.user.email !== record.email || record.user.deletedAt) return null;
+    const { count } = await prisma.accountToken.updateMany({
+      where: { id: record.id, usedAt: null },
+      data: { usedAt: new Date() },
+    });
+    return count === 0 ? null : record;
+  };
+
+  return { issue, consume };
+};
+
+module.exports = { createAccountTokens, renderVerificationMail, renderPasswordResetMail };
@@ -0,0 +1,67 @@
+// Dietary and allergen tags shared by users and food items. Diet tags on an item say what it
+// is suitable for and on a user what they require; allergen tags on an item say what it contains
+// and on a user what they must avoid.
+const DIET_TAGS = ['VEGETARIAN', 'VEGAN', 'GLUTEN_FREE', 'LACTOSE_FREE'];
+const ALLERGEN_TAGS = ['GLUTEN', 'LACTOSE', 'NUTS', 'PEANUTS', 'EGGS', 'SOY', 'FISH', 'SHELLFISH'];
+const TAGS = [...DIET_TAGS, ...ALLERGEN_TAGS];
+
+// Diets that also satisfy another: a vegan item is vegetarian and lactose-free as well
+const IMPLIED_BY = { VEGETARIAN: ['VEGAN'], LACTOSE_FREE: ['VEGAN'] };
+
+// Item tags that satisfy a required diet
+const satisfying = (diet) => [diet, ...(IMPLIED_BY[diet] || [])];
+
+// Diets that exclude an allergen, so an item declaring one is known to be free of it
+const RULED_OUT_BY = {
+  GLUTEN: ['GLUTEN_FREE'],
+  LACTOSE: ['LACTOSE_FREE', 'VEGAN'],
+  EGGS: ['VEGAN'],
+  FISH: ['VEGETARIAN', 'VEGAN'],
+  SHELLFISH: ['VEGETARIAN', 'VEGAN'],
+};
+
+// An item that lists any allergen is taken to list all it contains; one that lists none has not
+// been labelled, so only its diets can rule an allergen out
+const labelsAllergens = (itemTags) => itemTags.some((tag) => ALLERGEN_TAGS.includes(tag));
+
+// Validate a list of tags from a request body; returns { error } or the de-duplicated list
+const parseTags = (value) => {
+  if (!Array.isArray(value)) return { error: 'tags must be an array' };
+  const invalid = value.filter((tag) => !TAGS.includes(tag));
+  if (invalid.length > 0) return { error: `unknown tags: ${invalid.join(', ')}` };
+  return { tags: [...new Set(value)] };
+};
+
+// How an item's tags fit a user's: diets the item doesn't declare, allergens it contains and
+// allergens it may contain because it is not labelled
+const matchTags = (itemTags, userTags) => {
+  const missing = userTags.filter((tag) => DIET_TAGS.includes(tag) && !satisfying(tag).some((t) => itemTags.includes(t)));
+  const allergens = userTags.filter((tag) => ALLERGEN_TAGS.includes(tag));
+  const conflicts = allergens.filter((tag) => itemTags.includes(tag));
+  const unverified = labelsAllergens(itemTags)
+    ? []
+    : allergens.filter((tag) => !(RULED_OUT_BY[tag] || []).some((t) => itemTags.includes(t)));
+  const suits = missing.length === 0 && conflicts.length === 0 && unverified.length === 0;
+  return { suits, missing, conflicts, unverified };
+};
+
+// Prisma filter for items that suit a user with the given tags; unlabelled items only pass an
+// allergy when one of their diets rules it out
+const suitsWhere = (userTags) => {
+  const diets = userTags.filter((tag) => DIET_TAGS.includes(tag));
+  const allergens = userTags.filter((tag) => ALLERGEN_TAGS.includes(tag));
+  return {
+    AND: [
+      ...diets.map((tag) => ({ tags: { some: { tag: { in: satisfying(tag) } } } })),
+      ...(allergens.length > 0 ? [{ tags: { none: { tag: { in: allergens } } } }] : []),
+      ...allergens.map((tag) => ({
+        OR: [
+          { tags: { some: { tag: { in: ALLERGEN_TAGS } } } },
+          { tags: { some: { tag: { in: RULED_OUT_BY[tag] || [] } } } },
+        ],
+      })),
+    ],
+  };
+};
+
+module.exports = { DIET_TAGS, ALLERGEN_TAGS, parseTags, matchTags, suitsWhere };
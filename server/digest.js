@@ -0,0 +1,78 @@
+// Daily email digest of items about to expire. Users opt in and choose the hour (in their
+// time zone) and how many days ahead to look; a timer checks every few minutes who is due.
+const CHECK_INTERVAL_MS = 10 * 60 * 1000;
+
+// Hour and calendar day of `date` as seen in the given IANA time zone
+const localParts = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-CA', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    hourCycle: 'h23',
+  }).formatToParts(date);
+  const get = (type) => parts.find((p) => p.type === type).value;
+  return { day: `${get('year')}-${get('month')}-${get('day')}`, hour: Number(get('hour')) };
+};
+
+const isValidTimezone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en', { timeZone });
+    return true;
+  } catch (err) {
+    return false;
+  }
+};
+
+const renderDigest = (user, items) => {
+  const lines = items.map((i) =>
+    `- ${i.title}: expiră la ${i.expiresAt.toISOString().slice(0, 10)}${i.expiresEstimated ? ' (estimat)' : ''}`);
+  return {
+    to: user.email,
+    subject: `${items.length} produse expiră în următoarele ${user.digestDays} zile`,
+    text: [`Salut ${user.name},`, '', 'Produse din frigider care expiră curând:', ...lines, '',
+      'Marchează-le disponibile în aplicație ca să nu se risipească.'].join('\n'),
+  };
+};
+
+const createDigest = ({ prisma, mailer, findExpiringItems }) => {
+  const isDue = (user, now) => {
+    const local = localParts(now, user.digestTimezone);
+    if (local.hour < user.digestHour) return false;
+    return !user.lastDigestAt || localParts(user.lastDigestAt, user.digestTimezone).day !== local.day;
+  };
+
+  // Send to every opted-in user with a verified address whose hour has come and who has not had
+  // today's digest yet
+  const runDigest = async (now = new Date()) => {
+    const users = await prisma.user.findMany({ where: { digestEnabled: true, emailVerifiedAt: { not: null } } });
+    let sent = 0;
+    for (const user of users.filter((u) => isDue(u, now))) {
+      try {
+        const items = await findExpiringItems(user.id, user.digestDays);
+        if (items.length > 0) {
+          await mailer.send(renderDigest(user, items));
+          sent += 1;
+        }
+        // Mark the day as handled even when nothing expires, so the user is checked once a day
+        await prisma.user.update({ where: { id: user.id }, data: { lastDigestAt: now } });
+      } catch (err) {
+        console.error(`Error sending digest to user ${user.id}:`, err);
+      }
+    }
+    return sent;
+  };
+
+  const startDigestScheduler = () => {
+    const run = () => runDigest().catch((err) => console.error('Error running digest:', err));
+    const timer = setInterval(run, CHECK_INTERVAL_MS);
+    timer.unref();
+    run();
+    return timer;
+  };
+
+  return { runDigest, startDigestScheduler };
+};
+
+module.exports = { createDigest, isValidTimezone };
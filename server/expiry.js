@@ -0,0 +1,26 @@
+// Shelf-life estimation for items added without an expiry date. Each category carries the
+// number of days food keeps in the fridge, freezer and pantry, plus how long it lasts once opened.
+const STORAGE_LOCATIONS = ['FRIDGE', 'FREEZER', 'PANTRY'];
+const STORAGE_FIELDS = { FRIDGE: 'fridgeDays', FREEZER: 'freezerDays', PANTRY: 'pantryDays' };
+
+const addDays = (date, days) => {
+  const result = new Date(date);
+  result.setDate(result.getDate() + days);
+  return result;
+};
+
+// Earliest of "stored since `since`" and "opened at `openedAt`" (opened food is assumed to be
+// kept cold, so the opened rule does not apply in the freezer). Null when the category has no rule.
+const estimateExpiry = (category, storage, { since = new Date(), openedAt = null } = {}) => {
+  if (!category) return null;
+  const candidates = [];
+  const storedDays = category[STORAGE_FIELDS[storage]];
+  if (storedDays != null) candidates.push(addDays(since, storedDays));
+  if (openedAt && storage !== 'FREEZER' && category.openedDays != null) {
+    candidates.push(addDays(openedAt, category.openedDays));
+  }
+  if (candidates.length === 0) return null;
+  return new Date(Math.min(...candidates.map((d) => d.getTime())));
+};
+
+module.exports = { STORAGE_LOCATIONS, estimateExpiry };
@@ -0,0 +1,60 @@
+// Pickup locations are plain lat/lng pairs with a free-text label; distances are computed
+// locally (haversine) so no geocoding service is involved.
+const EARTH_RADIUS_KM = 6371;
+const DEFAULT_RADIUS_KM = 25;
+const MAX_RADIUS_KM = 500;
+
+const toRadians = (deg) => (deg * Math.PI) / 180;
+
+// Great-circle distance between two { latitude, longitude } points, in kilometres
+const distanceKm = (from, to) => {
+  const dLat = toRadians(to.latitude - from.latitude);
+  const dLng = toRadians(to.longitude - from.longitude);
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+};
+
+// Coarse lat/lng box around a point, used to narrow the query before computing exact distances
+const boundingBox = ({ latitude, longitude }, radiusKm) => {
+  const latDelta = (radiusKm / EARTH_RADIUS_KM) * (180 / Math.PI);
+  const lngDelta = latDelta / Math.max(Math.cos(toRadians(latitude)), 0.01);
+  return {
+    latitude: { gte: latitude - latDelta, lte: latitude + latDelta },
+    longitude: { gte: Math.max(longitude - lngDelta, -180), lte: Math.min(longitude + lngDelta, 180) },
+  };
+};
+
+const isCoordinate = (value, limit) => typeof value === 'number' && Number.isFinite(value) && Math.abs(value) <= limit;
+
+// Validate a location from a request body. Returns null when no location fields were sent,
+// { error } on bad input, or the { latitude, longitude, locationLabel } columns to store
+// (all null when the location is being cleared).
+const parseLocation = (body) => {
+  const { latitude, longitude, locationLabel } = body;
+  if (latitude === undefined && longitude === undefined && locationLabel === undefined) return null;
+  if (latitude === null && longitude === null) return { latitude: null, longitude: null, locationLabel: null };
+  if (!isCoordinate(latitude, 90)) return { error: 'latitude must be a number between -90 and 90' };
+  if (!isCoordinate(longitude, 180)) return { error: 'longitude must be a number between -180 and 180' };
+  const label = locationLabel ? String(locationLabel).trim().slice(0, 120) : '';
+  return { latitude, longitude, locationLabel: label || null };
+};
+
+// Search origin for the available-items listing from ?lat, lng and radiusKm.
+// Returns null when no point was given.
+const parseOrigin = (query) => {
+  if (query.lat === undefined && query.lng === undefined) return null;
+  const latitude = Number(query.lat);
+  const longitude = Number(query.lng);
+  if (!isCoordinate(latitude, 90) || !isCoordinate(longitude, 180)) {
+    return { error: 'lat and lng must be valid coordinates' };
+  }
+  const radiusKm = query.radiusKm === undefined ? DEFAULT_RADIUS_KM : Number(query.radiusKm);
+  if (!Number.isFinite(radiusKm) || radiusKm <= 0 || radiusKm > MAX_RADIUS_KM) {
+    return { error: `radiusKm must be between 0 and ${MAX_RADIUS_KM}` };
+  }
+  return { latitude, longitude, radiusKm };
+};
+
+module.exports = { distanceKm, boundingBox, parseLocation, parseOrigin };
@@ -0,0 +1,58 @@
+// Pluggable mail transport. MAIL_TRANSPORT selects the driver:
+//   smtp    - real delivery through SMTP_HOST/SMTP_PORT/SMTP_USER/SMTP_PASS (via nodemailer)
+//   file    - writes each message as an .eml file into MAIL_DIR, for local testing
+//   console - logs the message (default)
+// Every driver exposes the same async send({ to, subject, text, html }).
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_FROM = process.env.MAIL_FROM || 'Food Waste Tracker <no-reply@food-waste.local>';
+
+const createSmtpDriver = () => {
+  const nodemailer = require('nodemailer');
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: Number(process.env.SMTP_PORT || 587),
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+  });
+  return {
+    name: 'smtp',
+    send: (message) => transporter.sendMail({ from: DEFAULT_FROM, ...message }),
+  };
+};
+
+const createFileDriver = () => {
+  const dir = process.env.MAIL_DIR || path.join(__dirname, 'mail-outbox');
+  return {
+    name: 'file',
+    send: async ({ to, subject, text, html }) => {
+      await fs.promises.mkdir(dir, { recursive: true });
+      const file = path.join(dir, `${Date.now()}-${to.replace(/[^a-z0-9@.]/gi, '_')}.eml`);
+      const headers = [`From: ${DEFAULT_FROM}`, `To: ${to}`, `Subject: ${subject}`, `Date: ${new Date().toUTCString()}`];
+      const body = html
+        ? [...headers, 'Content-Type: text/html; charset=utf-8', '', html]
+        : [...headers, 'Content-Type: text/plain; charset=utf-8', '', text];
+      await fs.promises.writeFile(file, body.join('\r\n'));
+      return { file };
+    },
+  };
+};
+
+const createConsoleDriver = () => ({
+  name: 'console',
+  send: async ({ to, subject, text }) => {
+    console.log(`[mail] to=${to} subject=${subject}\n${text}`);
+    return {};
+  },
+});
+
+const drivers = { smtp: createSmtpDriver, file: createFileDriver, console: createConsoleDriver };
+
+const createMailer = (name = process.env.MAIL_TRANSPORT || 'console') => {
+  const factory = drivers[name];
+  if (!factory) throw new Error(`Unknown MAIL_TRANSPORT "${name}" (expected ${Object.keys(drivers).join(', ')})`);
+  return factory();
+};
+
+module.exports = { createMailer };
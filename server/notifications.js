@@ -0,0 +1,91 @@
+// Persisted in-app notifications plus the periodic expiry scanner.
+// Exposed as a factory so it shares the server's Prisma client.
+const EXPIRY_WINDOW_DAYS = 3;
+
+const createNotifications = (prisma) => {
+  const notify = (userId, { type, title, body = null, itemId = null, claimId = null, groupId = null }) =>
+    prisma.notification.create({ data: { userId, type, title, body, itemId, claimId, groupId } });
+
+  const notifyMany = (userIds, notification) =>
+    Promise.all([...new Set(userIds)].map((userId) => notify(userId, notification)));
+
+  // Chat activity collapses into one unread notification per group instead of one per message
+  const notifyGroupMessage = async (userIds, group, author) => {
+    await Promise.all([...new Set(userIds)].map(async (userId) => {
+      const existing = await prisma.notification.findFirst({
+        where: { userId, type: 'GROUP_MESSAGE', groupId: group.id, readAt: null },
+      });
+      if (!existing) {
+        return notify(userId, {
+          type: 'GROUP_MESSAGE',
+          title: `Mesaj nou în ${group.name}`,
+          body: `${author.name} a scris în grup.`,
+          groupId: group.id,
+        });
+      }
+      return prisma.notification.update({
+        where: { id: existing.id },
+        data: { title: `Mesaje noi în ${group.name}`, body: `Ultimul de la ${author.name}.`, createdAt: new Date() },
+      });
+    }));
+  };
+
+  // Same collapsing for a private claim conversation: one unread notification per claim
+  const notifyClaimMessage = async (userId, claim, author) => {
+    const existing = await prisma.notification.findFirst({
+      where: { userId, type: 'CLAIM_MESSAGE', claimId: claim.id, readAt: null },
+    });
+    if (existing) {
+      return prisma.notification.update({
+        where: { id: existing.id },
+        data: { body: `Ultimul de la ${author.name}.`, createdAt: new Date() },
+      });
+    }
+    return notify(userId, {
+      type: 'CLAIM_MESSAGE',
+      title: `Mesaj despre ${claim.item.title}`,
+      body: `${author.name} ți-a scris.`,
+      itemId: claim.itemId,
+      claimId: claim.id,
+    });
+  };
+
+  // Warn owners once per item when it enters the expiry window
+  const scanExpiringItems = async () => {
+    const now = new Date();
+    const until = new Date(now);
+    until.setDate(until.getDate() + EXPIRY_WINDOW_DAYS);
+    const items = await prisma.foodItem.findMany({
+      where: { status: 'IN_FRIDGE', expiresAt: { lte: until }, expiryNotifiedAt: null },
+    });
+    let sent = 0;
+    for (const item of items) {
+      // Mark first so an overlapping run never warns twice
+      const { count } = await prisma.foodItem.updateMany({
+        where: { id: item.id, expiryNotifiedAt: null },
+        data: { expiryNotifiedAt: now },
+      });
+      if (count === 0) continue;
+      await notify(item.ownerId, {
+        type: 'ITEM_EXPIRING',
+        title: `${item.title} expiră curând`,
+        body: `Data expirării: ${item.expiresAt.toISOString().slice(0, 10)}.`,
+        itemId: item.id,
+      });
+      sent += 1;
+    }
+    return sent;
+  };
+
+  const startExpiryScanner = (intervalMs) => {
+    const run = () => scanExpiringItems().catch((err) => console.error('Error scanning expiring items:', err));
+    run();
+    const timer = setInterval(run, intervalMs);
+    timer.unref();
+    return timer;
+  };
+
+  return { notify, notifyMany, notifyGroupMessage, notifyClaimMessage, scanExpiringItems, startExpiryScanner };
+};
+
+module.exports = { createNotifications };
@@ -0,0 +1,73 @@
+// Item photos: multipart upload limits and the resizing done before anything is stored.
+// Uploads are re-encoded as WebP, which also drops EXIF data such as the GPS position.
+const crypto = require('crypto');
+const multer = require('multer');
+const sharp = require('sharp');
+
+const PHOTO_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+const MAX_PHOTO_BYTES = 5 * 1024 * 1024;
+const MAX_PHOTOS_PER_ITEM = 6;
+const FULL_SIZE = 1600;
+const THUMBNAIL_SIZE = 320;
+
+class PhotoError extends Error {}
+
+// Multer keeps uploads in memory (at most MAX_PHOTOS_PER_ITEM files of MAX_PHOTO_BYTES each)
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_PHOTO_BYTES, files: MAX_PHOTOS_PER_ITEM },
+  fileFilter: (_req, file, cb) => {
+    if (PHOTO_TYPES.includes(file.mimetype)) return cb(null, true);
+    cb(new PhotoError(`photos must be one of ${PHOTO_TYPES.join(', ')}`));
+  },
+});
+
+// Express middleware reading the "photos" field; bad uploads are answered with 400
+const uploadPhotos = (req, res, next) => {
+  upload.array('photos', MAX_PHOTOS_PER_ITEM)(req, res, (err) => {
+    if (!err) return next();
+    if (err instanceof PhotoError) return res.status(400).json({ error: err.message });
+    if (err instanceof multer.MulterError) {
+      const messages = {
+        LIMIT_FILE_SIZE: `each photo must be at most ${MAX_PHOTO_BYTES / 1024 / 1024} MB`,
+        LIMIT_FILE_COUNT: `at most ${MAX_PHOTOS_PER_ITEM} photos per item`,
+        LIMIT_UNEXPECTED_FILE: 'photos must be sent in the "photos" field',
+      };
+      return res.status(400).json({ error: messages[err.code] || err.message });
+    }
+    next(err);
+  });
+};
+
+// Resize one upload into a full-size image and a square thumbnail. The declared type is not
+// trusted: sharp rejects anything that does not decode as an image.
+const processPhoto = async (buffer) => {
+  let image;
+  try {
+    image = sharp(buffer).rotate();
+    await image.metadata();
+  } catch (err) {
+    throw new PhotoError('photo could not be read as an image');
+  }
+  const id = crypto.randomUUID();
+  const full = await image
+    .clone()
+    .resize(FULL_SIZE, FULL_SIZE, { fit: 'inside', withoutEnlargement: true })
+    .webp({ quality: 80 })
+    .toBuffer({ resolveWithObject: true });
+  const thumbnail = await image
+    .clone()
+    .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'cover' })
+    .webp({ quality: 70 })
+    .toBuffer();
+  return {
+    key: `${id}.webp`,
+    thumbnailKey: `${id}-thumb.webp`,
+    full: full.data,
+    thumbnail,
+    width: full.info.width,
+    height: full.info.height,
+  };
+};
+
+module.exports = { MAX_PHOTOS_PER_ITEM, PhotoError, uploadPhotos, processPhoto };
@@ -0,0 +1,75 @@
+// Pickup windows for accepted claims: calendar export of the agreed slot and reminders
+// sent to both sides shortly before it starts.
+const CHECK_INTERVAL_MS = 5 * 60 * 1000;
+
+// RFC 5545 UTC timestamp, e.g. 20261018T170000Z
+const icsDate = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+const icsEscape = (text) => String(text).replace(/[\\;,]/g, (c) => `\\${c}`).replace(/\r?\n/g, '\\n');
+
+const renderIcs = ({ uid, summary, description, location, startsAt, endsAt }) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Food Waste//Pickup//RO',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    'BEGIN:VEVENT',
+    `UID:${uid}`,
+    `DTSTAMP:${icsDate(new Date())}`,
+    `DTSTART:${icsDate(startsAt)}`,
+    `DTEND:${icsDate(endsAt)}`,
+    `SUMMARY:${icsEscape(summary)}`,
+    description ? `DESCRIPTION:${icsEscape(description)}` : null,
+    location ? `LOCATION:${icsEscape(location)}` : null,
+    'END:VEVENT',
+    'END:VCALENDAR',
+  ];
+  return `${lines.filter(Boolean).join('\r\n')}\r\n`;
+};
+
+const createPickupReminders = ({ prisma, notifications, claimManagers, leadMinutes }) => {
+  // Remind the claimer and whoever manages the item's claims once per booked slot, leadMinutes
+  // before it starts
+  const scanPickupReminders = async () => {
+    const now = new Date();
+    const until = new Date(now.getTime() + leadMinutes * 60 * 1000);
+    const claims = await prisma.claim.findMany({
+      where: {
+        status: 'ACCEPTED',
+        pickupReminderSentAt: null,
+        pickupSlot: { startsAt: { gt: now, lte: until } },
+      },
+      include: { item: true, pickupSlot: true },
+    });
+    for (const claim of claims) {
+      // Mark first so a slow notification never produces a second reminder
+      const { count } = await prisma.claim.updateMany({
+        where: { id: claim.id, pickupReminderSentAt: null },
+        data: { pickupReminderSentAt: now },
+      });
+      if (count === 0) continue;
+      const time = claim.pickupSlot.startsAt.toISOString().slice(11, 16);
+      await notifications.notifyMany([claim.claimerId, ...(await claimManagers(claim.item))], {
+        type: 'PICKUP_REMINDER',
+        title: `Ridicare curând: ${claim.item.title}`,
+        body: `Intervalul începe la ${time} UTC${claim.item.locationLabel ? `, ${claim.item.locationLabel}` : ''}.`,
+        itemId: claim.itemId,
+        claimId: claim.id,
+      });
+    }
+    return claims.length;
+  };
+
+  const startPickupReminders = () => {
+    const run = () => scanPickupReminders().catch((err) => console.error('Error sending pickup reminders:', err));
+    run();
+    const timer = setInterval(run, CHECK_INTERVAL_MS);
+    timer.unref();
+    return timer;
+  };
+
+  return { scanPickupReminders, startPickupReminders };
+};
+
+module.exports = { createPickupReminders, renderIcs };
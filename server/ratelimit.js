@@ -0,0 +1,32 @@
+// Fixed-window request limiter kept in process memory, so limits are per server instance.
+// Requests over the limit are answered with 429 and a Retry-After header.
+const createRateLimiter = ({ limit, windowMs, key = (req) => req.ip }) => {
+  const windows = new Map();
+
+  // Drop finished windows now and then so the map does not grow with every client seen
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    windows.forEach((entry, k) => {
+      if (entry.resetAt <= now) windows.delete(k);
+    });
+  }, windowMs);
+  sweep.unref();
+
+  return (req, res, next) => {
+    const now = Date.now();
+    const id = key(req);
+    let entry = windows.get(id);
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      windows.set(id, entry);
+    }
+    entry.count += 1;
+    if (entry.count > limit) {
+      res.set('Retry-After', String(Math.ceil((entry.resetAt - now) / 1000)));
+      return res.status(429).json({ error: 'Too many requests, try again later' });
+    }
+    next();
+  };
+};
+
+module.exports = { createRateLimiter };
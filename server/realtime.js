@@ -0,0 +1,52 @@
+// In-memory Server-Sent Events hub: every open stream is registered under the group it follows.
+// State lives in this process only, which matches the single-instance deployment.
+const subscribers = new Map();
+
+const HEARTBEAT_MS = 25000;
+
+const write = (res, event, data) => {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+// Turn the response into an event stream for one group member
+const subscribe = (groupId, userId, req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+  write(res, 'ready', { groupId });
+
+  const entry = { userId, res };
+  if (!subscribers.has(groupId)) subscribers.set(groupId, new Set());
+  subscribers.get(groupId).add(entry);
+
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    const set = subscribers.get(groupId);
+    if (!set) return;
+    set.delete(entry);
+    if (set.size === 0) subscribers.delete(groupId);
+  });
+};
+
+// Push an event to everyone currently following the group
+const publish = (groupId, event, data) => {
+  const set = subscribers.get(groupId);
+  if (!set) return;
+  set.forEach(({ res }) => write(res, event, data));
+};
+
+// Close the streams of a user who no longer belongs to the group (or of everyone when userId is omitted)
+const disconnect = (groupId, userId) => {
+  const set = subscribers.get(groupId);
+  if (!set) return;
+  set.forEach((entry) => {
+    if (userId === undefined || entry.userId === userId) entry.res.end();
+  });
+};
+
+module.exports = { subscribe, publish, disconnect };
@@ -1,15 +1,47 @@
 const express = require('express');
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
 const cors = require('cors');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const { PrismaClient } = require('@prisma/client');
+const realtime = require('./realtime');
+const { createNotifications } = require('./notifications');
+const { createMailer } = require('./mail');
+const { createDigest, isValidTimezone } = require('./digest');
+const { distanceKm, boundingBox, parseLocation, parseOrigin } = require('./geo');
+const { createPickupReminders, renderIcs } = require('./pickups');
+const { DIET_TAGS, ALLERGEN_TAGS, parseTags, matchTags, suitsWhere } = require('./diet');
+const { STORAGE_LOCATIONS, estimateExpiry } = require('./expiry');
+const { createStorage } = require('./storage');
+const { MAX_PHOTOS_PER_ITEM, PhotoError, uploadPhotos, processPhoto } = require('./photos');
+const { SHARE_NETWORKS, isCrawler, shareIntentUrls, renderSharePage, renderGonePage } = require('./share');
+const { createRateLimiter } = require('./ratelimit');
+const { createSessions } = require('./sessions');
+const { createAccountTokens, renderVerificationMail, renderPasswordResetMail } = require('./account');
 
 const app = express();
 const prisma = new PrismaClient();
+const notifications = createNotifications(prisma);
+const storage = createStorage();
+const mailer = createMailer();
+const accountTokens = createAccountTokens({ prisma });
+const pickupReminders = createPickupReminders({
+  prisma,
+  notifications,
+  claimManagers: (item) => claimManagers(item),
+  leadMinutes: Number(process.env.PICKUP_REMINDER_MINUTES || 60),
+});
 const PORT = process.env.PORT || 3000;
+// Absolute base for links that leave the app (share pages, preview images, account emails); defaults to the request host
+// in development. Account emails would carry a forged Host header into reset links, so production requires it.
+if (!process.env.PUBLIC_URL && process.env.NODE_ENV === 'production') {
+  throw new Error('PUBLIC_URL must be set when NODE_ENV=production');
+}
+const PUBLIC_URL = process.env.PUBLIC_URL ? process.env.PUBLIC_URL.replace(/\/$/, '') : null;
 const CLIENT_DIST = path.join(__dirname, '..', 'client', 'dist');
+const publicBaseUrl = (req) => PUBLIC_URL || `${req.protocol}://${req.get('host')}`;
 
 // Allow all origins (simplify dev/prod access)
 app.use(cors({ origin: true }));
@@ -19,42 +51,306 @@ if (fs.existsSync(CLIENT_DIST)) {
   app.use(express.static(CLIENT_DIST));
 }
 
+// The development fallback would let anyone mint tokens, so production refuses to start without one
+if (!process.env.JWT_SECRET && process.env.NODE_ENV === 'production') {
+  throw new Error('JWT_SECRET must be set when NODE_ENV=production');
+}
 const JWT_SECRET = process.env.JWT_SECRET || 'dev-secret-key';
+const sessions = createSessions({ prisma, secret: JWT_SECRET });
 
-// Auth helpers
-const signToken = (user) =>
-  jwt.sign({ userId: user.id, email: user.email }, JWT_SECRET, { expiresIn: '7d' });
+// Invite tokens carry the invite row id; the row tracks revocation and single use
+const signInviteToken = (invite) =>
+  jwt.sign({ inviteId: invite.id, groupId: invite.groupId, type: 'invite' }, JWT_SECRET, {
+    expiresIn: Math.max(1, Math.floor((invite.expiresAt.getTime() - Date.now()) / 1000)),
+  });
 
 const authMiddleware = async (req, res, next) => {
   const auth = req.headers.authorization || '';
   const token = auth.startsWith('Bearer ') ? auth.slice(7) : null;
   if (!token) return res.status(401).json({ error: 'Unauthorized' });
   try {
-    const payload = jwt.verify(token, JWT_SECRET);
-    const user = await prisma.user.findUnique({ where: { id: payload.userId } });
-    if (!user) return res.status(401).json({ error: 'Unauthorized' });
-    req.user = user;
+    const session = await sessions.authenticate(token);
+    if (!session) return res.status(401).json({ error: 'Unauthorized' });
+    req.user = session.user;
+    req.sessionId = session.id;
     next();
   } catch (err) {
     return res.status(401).json({ error: 'Unauthorized' });
   }
 };
 
-// Seed categories if missing
-const ensureCategories = async () => {
-  const defaults = ['Lactate', 'Legume', 'Fructe', 'Carne', 'Conserve', 'Băuturi'];
-  const existing = await prisma.foodCategory.findMany({ where: { name: { in: defaults } } });
-  if (existing.length === defaults.length) return;
-  const toCreate = defaults.filter((n) => !existing.find((c) => c.name === n));
-  if (toCreate.length > 0) {
-    await prisma.foodCategory.createMany({
-      data: toCreate.map((name) => ({ name })),
-    });
+// EventSource cannot send headers, so event streams take the JWT from ?access_token=
+const streamAuthMiddleware = (req, res, next) => {
+  if (req.query.access_token) req.headers.authorization = `Bearer ${req.query.access_token}`;
+  return authMiddleware(req, res, next);
+};
+
+// Tell every group an item is shared in that one of its claims changed
+const publishClaimUpdate = async (claim) => {
+  const shares = await prisma.groupShare.findMany({ where: { itemId: claim.itemId } });
+  if (shares.length === 0) return;
+  const item = await prisma.foodItem.findUnique({ where: { id: claim.itemId } });
+  const payload = {
+    claimId: claim.id,
+    itemId: claim.itemId,
+    status: claim.status,
+    itemStatus: item?.status,
+    itemQuantity: item?.quantity,
+  };
+  shares.forEach((s) => realtime.publish(s.groupId, 'claim', payload));
+};
+
+// Notifications are best-effort: a failure is logged but never fails the request
+const sendNotification = (promise) =>
+  promise.catch((err) => console.error('Error creating notification:', err));
+
+// Everyone in a group (owner plus members) except the given user
+const groupAudience = (group, exceptUserId) =>
+  [group.ownerId, ...group.members.map((m) => m.userId)].filter((userId) => userId !== exceptUserId);
+
+// Resolve the caller's relationship to a group (null when the group does not exist)
+const getGroupAccess = async (groupId, userId) => {
+  const group = await prisma.friendGroup.findUnique({ where: { id: groupId }, include: { members: true } });
+  if (!group) return null;
+  const membership = group.members.find((m) => m.userId === userId) || null;
+  const isOwner = group.ownerId === userId;
+  return {
+    group,
+    membership,
+    isOwner,
+    isMember: isOwner || Boolean(membership),
+    isAdmin: isOwner || membership?.role === 'ADMIN',
+  };
+};
+
+const UNITS = ['PCS', 'G', 'KG', 'ML', 'L'];
+// Terminal statuses: once an item reaches one of these its lifecycle is over
+const OUTCOMES = ['CONSUMED', 'DONATED', 'WASTED'];
+
+// Validate an optional quantity/unit pair; returns { error } or the parsed values
+const parseQuantity = (quantity, unit) => {
+  if (quantity === undefined || quantity === null || quantity === '') {
+    return { quantity: null, unit: null };
+  }
+  const value = Number(quantity);
+  if (!Number.isFinite(value) || value <= 0) return { error: 'quantity must be a positive number' };
+  if (!UNITS.includes(unit)) return { error: `unit must be one of ${UNITS.join(', ')}` };
+  return { quantity: value, unit };
+};
+
+const ITEM_STATUSES = ['IN_FRIDGE', 'AVAILABLE', 'CLAIMED', ...OUTCOMES];
+const ITEM_VISIBILITIES = ['PRIVATE', 'GROUPS', 'PUBLIC'];
+
+// Other users' items a user may see and claim: public ones, plus group-only ones shared
+// in a group the user owns or belongs to. Private items are never exposed.
+const visibleTo = (userId) => ({
+  OR: [
+    { visibility: 'PUBLIC' },
+    {
+      visibility: 'GROUPS',
+      shares: { some: { group: { OR: [{ ownerId: userId }, { members: { some: { userId } } }] } } },
+    },
+  ],
+});
+
+const canSeeItem = async (item, userId) =>
+  item.ownerId === userId
+  || item.visibility === 'PUBLIC'
+  || Boolean(await householdMembership(item, userId))
+  || (await prisma.foodItem.count({ where: { id: item.id, ...visibleTo(userId) } })) > 0;
+
+// Household items: every member may edit them; offering them to others (status AVAILABLE,
+// visibility, pickup slots, share links, group shares) needs canShare and answering their
+// claims needs canManageClaims. The member who added an item keeps every right.
+const householdMembership = (item, userId) =>
+  item.householdId
+    ? prisma.householdMember.findFirst({ where: { householdId: item.householdId, userId } })
+    : null;
+
+// Who answers claims on an item: the owner and housemates allowed to manage claims
+const claimManagers = async (item) => {
+  if (!item.householdId) return [item.ownerId];
+  const members = await prisma.householdMember.findMany({
+    where: { householdId: item.householdId, canManageClaims: true },
+  });
+  return [item.ownerId, ...members.map((m) => m.userId)];
+};
+
+// `permission` is 'edit', 'canShare' or 'canManageClaims'
+const canActOnItem = async (item, userId, permission = 'edit') => {
+  if (item.ownerId === userId) return true;
+  const member = await householdMembership(item, userId);
+  return Boolean(member && (permission === 'edit' || member[permission]));
+};
+
+// Load the item in req.params.id for an action, answering 404 when the caller neither owns it
+// nor shares its household and 403 when their household role lacks the permission
+const findItemForAction = async (req, res, permission = 'edit') => {
+  const item = await prisma.foodItem.findUnique({ where: { id: Number(req.params.id) } });
+  const member = item && item.ownerId !== req.user.id ? await householdMembership(item, req.user.id) : null;
+  if (!item || (item.ownerId !== req.user.id && !member)) {
+    res.status(404).json({ error: 'item not found' });
+    return null;
+  }
+  if (member && permission !== 'edit' && !member[permission]) {
+    res.status(403).json({ error: 'Your household role does not allow this' });
+    return null;
+  }
+  return item;
+};
+
+// Items a listing covers: ?scope=mine (default), household (the shared fridge) or all (both)
+const itemScope = async (userId, scope = 'mine') => {
+  if (!['mine', 'household', 'all'].includes(scope)) return { error: 'scope must be mine, household or all' };
+  if (scope === 'mine') return { where: { ownerId: userId } };
+  const member = await prisma.householdMember.findUnique({ where: { userId } });
+  if (!member) return scope === 'all' ? { where: { ownerId: userId } } : { error: 'You are not in a household' };
+  const household = { householdId: member.householdId };
+  return { where: scope === 'household' ? household : { OR: [{ ownerId: userId }, household] } };
+};
+const ITEM_SORTS = {
+  newest: [{ createdAt: 'desc' }],
+  oldest: [{ createdAt: 'asc' }],
+  expiry: [{ expiresAt: { sort: 'asc', nulls: 'last' } }],
+  'expiry-desc': [{ expiresAt: { sort: 'desc', nulls: 'last' } }],
+  title: [{ title: 'asc' }],
+};
+
+// Parse item listing filters: ?q, categoryId, status (comma separated), expiresFrom, expiresTo,
+// sort, cursor (id of the last item of the previous page) and limit. With a search origin
+// (see parseOrigin) results are limited to its radius and sorted by distance by default; those
+// pages use "distanceKm:id" cursors, so the next page resumes even if that item left the list.
+const parseItemListQuery = (query, origin = null) => {
+  const where = [];
+  const q = String(query.q || '').trim();
+  if (q) where.push({ title: { contains: q } });
+  if (query.categoryId) where.push({ categoryId: Number(query.categoryId) });
+  if (query.status) {
+    const statuses = String(query.status).split(',');
+    if (statuses.some((st) => !ITEM_STATUSES.includes(st))) return { error: 'invalid status filter' };
+    where.push({ status: { in: statuses } });
   }
+  for (const [param, op] of [['expiresFrom', 'gte'], ['expiresTo', 'lte']]) {
+    if (!query[param]) continue;
+    const date = new Date(query[param]);
+    if (Number.isNaN(date.getTime())) return { error: `${param} must be a date` };
+    where.push({ expiresAt: { [op]: date } });
+  }
+  const sort = query.sort || (origin ? 'distance' : 'newest');
+  if (sort === 'distance' && !origin) return { error: 'sort=distance requires lat and lng' };
+  if (sort !== 'distance' && !ITEM_SORTS[sort]) {
+    return { error: `sort must be one of ${Object.keys(ITEM_SORTS).join(', ')}, distance` };
+  }
+  const cursor = query.cursor
+    ? String(query.cursor).match(sort === 'distance' ? /^(\d+(?:\.\d+)?):(\d+)$/ : /^()(\d+)$/)
+    : null;
+  if (query.cursor && !cursor) return { error: 'invalid cursor' };
+  return {
+    where,
+    orderBy: [...(ITEM_SORTS[sort] || ITEM_SORTS.newest), { id: 'desc' }],
+    byDistance: sort === 'distance',
+    origin,
+    limit: Math.min(Math.max(Number(query.limit) || 20, 1), 100),
+    cursor: cursor ? Number(cursor[2]) : null,
+    cursorDistanceKm: cursor && sort === 'distance' ? Number(cursor[1]) : null,
+  };
+};
+
+// Other users as responses show them. The user row also holds the saved home location and
+// the password hash, so it is never included whole.
+const USER_SUMMARY = { select: { id: true, name: true } };
+
+// Items of other people are listed without coordinates: they default to the owner's saved
+// location, so browsers only get the label and, in radius searches, the distanceKm
+const withoutCoordinates = ({ latitude, longitude, ...item }) => item;
+
+// Claims with their item, in responses that reach the claimer
+const claimWithoutCoordinates = (claim) => ({ ...claim, item: withoutCoordinates(claim.item) });
+
+// Radius searches can't be expressed in SQLite, so items inside the bounding box are loaded,
+// measured and paginated in memory; each result carries its distanceKm. Without a distance
+// cursor, a page whose cursor item has left the list can't be placed and resolves to { error }.
+const listNearbyItems = async (where, listQuery, include) => {
+  const { origin } = listQuery;
+  const rows = await prisma.foodItem.findMany({
+    where: { AND: [where, boundingBox(origin, origin.radiusKm)] },
+    include,
+    orderBy: listQuery.orderBy,
+  });
+  const nearby = rows
+    .map((item) => ({ ...item, distanceKm: Math.round(distanceKm(origin, item) * 10) / 10 }))
+    .filter((item) => item.distanceKm <= origin.radiusKm);
+  if (listQuery.byDistance) nearby.sort((a, b) => a.distanceKm - b.distanceKm || b.id - a.id);
+  let start = 0;
+  if (listQuery.cursor && listQuery.byDistance) {
+    const { cursor, cursorDistanceKm } = listQuery;
+    start = nearby.findIndex((item) => item.distanceKm > cursorDistanceKm
+      || (item.distanceKm === cursorDistanceKm && item.id < cursor));
+    if (start === -1) start = nearby.length;
+  } else if (listQuery.cursor) {
+    start = nearby.findIndex((item) => item.id === listQuery.cursor) + 1;
+    if (start === 0) return { error: 'cursor item is no longer listed' };
+  }
+  const items = nearby.slice(start, start + listQuery.limit);
+  const last = items[items.length - 1];
+  return {
+    items,
+    nextCursor: start + listQuery.limit < nearby.length
+      ? (listQuery.byDistance ? `${last.distanceKm}:${last.id}` : last.id)
+      : null,
+    total: nearby.length,
+  };
+};
+
+// Run a filtered, paginated item listing and wrap it in the { items, nextCursor, total } envelope
+const listItems = async (baseWhere, listQuery, include) => {
+  const where = { AND: [baseWhere, ...listQuery.where] };
+  if (listQuery.origin) return listNearbyItems(where, listQuery, include);
+  const [rows, total] = await Promise.all([
+    prisma.foodItem.findMany({
+      where,
+      include,
+      orderBy: listQuery.orderBy,
+      take: listQuery.limit + 1,
+      ...(listQuery.cursor ? { cursor: { id: listQuery.cursor }, skip: 1 } : {}),
+    }),
+    prisma.foodItem.count({ where }),
+  ]);
+  const items = rows.slice(0, listQuery.limit);
+  return {
+    items,
+    nextCursor: rows.length > listQuery.limit ? items[items.length - 1].id : null,
+    total,
+  };
+};
+
+// Validate optional storage location and opened date; returns { error } or the parsed values
+const parseStorage = ({ storage, openedAt }) => {
+  if (storage !== undefined && !STORAGE_LOCATIONS.includes(storage)) {
+    return { error: `storage must be one of ${STORAGE_LOCATIONS.join(', ')}` };
+  }
+  let opened = openedAt;
+  if (openedAt) {
+    opened = new Date(openedAt);
+    if (Number.isNaN(opened.getTime())) return { error: 'openedAt must be a date' };
+  }
+  return { storage, openedAt: opened === '' ? null : opened };
+};
+
+// Estimated expiry for an item stored since `since`, from its category's shelf-life rules
+const estimateItemExpiry = async (categoryId, storage, openedAt, since = new Date()) => {
+  const category = categoryId ? await prisma.foodCategory.findUnique({ where: { id: Number(categoryId) } }) : null;
+  return estimateExpiry(category, storage, { since, openedAt });
 };
 
 // Auth routes
-app.post('/api/auth/register', async (req, res) => {
+// Every registration mails a verification link to the given address, so it is limited per IP
+const registerLimiter = createRateLimiter({
+  limit: Number(process.env.REGISTER_RATE_LIMIT || 5),
+  windowMs: 60 * 60 * 1000,
+});
+
+app.post('/api/auth/register', registerLimiter, async (req, res) => {
   const { name, email, password } = req.body;
   if (!name || !email || !password) return res.status(400).json({ error: 'name, email, password required' });
   try {
@@ -62,9 +358,12 @@ app.post('/api/auth/register', async (req, res) => {
     if (existing) return res.status(409).json({ error: 'Email already registered' });
     const passwordHash = await bcrypt.hash(password, 10);
     const user = await prisma.user.create({ data: { name, email, passwordHash } });
-    const token = signToken(user);
-    res.status(201).json({ token, user: { id: user.id, name: user.name, email: user.email } });
+    const tokens = await sessions.issue(user, req);
+    res.status(201).json({ ...tokens, user: accountView(user) });
+    sendAccountMail(sendVerificationMail(user, req));
   } catch (err) {
+    // Another registration took the address between the check and the insert
+    if (err.code === 'P2002') return res.status(409).json({ error: 'Email already registered' });
     console.error('Error register:', err);
     res.status(500).json({ error: 'Failed to register' });
   }
@@ -78,32 +377,448 @@ app.post('/api/auth/login', async (req, res) => {
     if (!user) return res.status(401).json({ error: 'Invalid credentials' });
     const ok = await bcrypt.compare(password, user.passwordHash);
     if (!ok) return res.status(401).json({ error: 'Invalid credentials' });
-    const token = signToken(user);
-    res.json({ token, user: { id: user.id, name: user.name, email: user.email } });
+    const tokens = await sessions.issue(user, req);
+    res.json({ ...tokens, user: accountView(user) });
   } catch (err) {
     console.error('Error login:', err);
     res.status(500).json({ error: 'Failed to login' });
   }
 });
 
+// Trade a refresh token for a new access token and refresh token; the old one stops working
+app.post('/api/auth/refresh', async (req, res) => {
+  const { refreshToken } = req.body;
+  if (!refreshToken) return res.status(400).json({ error: 'refreshToken required' });
+  try {
+    const tokens = await sessions.refresh(refreshToken, req);
+    if (!tokens) return res.status(401).json({ error: 'Invalid refresh token' });
+    res.json(tokens);
+  } catch (err) {
+    console.error('Error refresh:', err);
+    res.status(500).json({ error: 'Failed to refresh session' });
+  }
+});
+
+app.post('/api/auth/logout', authMiddleware, async (req, res) => {
+  try {
+    await sessions.revoke(req.user.id, { id: req.sessionId });
+    res.status(204).end();
+  } catch (err) {
+    console.error('Error logout:', err);
+    res.status(500).json({ error: 'Failed to logout' });
+  }
+});
+
+// Open sessions of the current user, newest activity first
+app.get('/api/auth/sessions', authMiddleware, async (req, res) => {
+  try {
+    const list = await sessions.listActive(req.user.id);
+    res.json(list.map((session) => ({ ...session, current: session.id === req.sessionId })));
+  } catch (err) {
+    console.error('Error list sessions:', err);
+    res.status(500).json({ error: 'Failed to load sessions' });
+  }
+});
+
+app.delete('/api/auth/sessions/:id', authMiddleware, async (req, res) => {
+  try {
+    const { count } = await sessions.revoke(req.user.id, { id: Number(req.params.id) });
+    if (count === 0) return res.status(404).json({ error: 'Session not found' });
+    res.status(204).end();
+  } catch (err) {
+    console.error('Error revoke session:', err);
+    res.status(500).json({ error: 'Failed to revoke session' });
+  }
+});
+
+// "Log out other devices": everything except the session making the request
+app.post('/api/auth/sessions/revoke-others', authMiddleware, async (req, res) => {
+  try {
+    const { count } = await sessions.revoke(req.user.id, { id: { not: req.sessionId } });
+    res.json({ revoked: count });
+  } catch (err) {
+    console.error('Error revoke sessions:', err);
+    res.status(500).json({ error: 'Failed to revoke sessions' });
+  }
+});
+
+// Deleting an account removes its items, memberships and settings. Items in a shared household
+// fridge stay there, handed to a remaining member (an admin when there is one). The user row stays
+// as an anonymous "Cont șters" so group messages and claims on other people's items keep an author;
+// claims still open are withdrawn first. Group owners must hand their groups over beforehand.
+const DELETED_USER_NAME = 'Cont șters';
+
+app.delete('/api/me', authMiddleware, async (req, res) => {
+  const { password } = req.body;
+  const userId = req.user.id;
+  try {
+    const ok = password && (await bcrypt.compare(String(password), req.user.passwordHash));
+    if (!ok) return res.status(403).json({ error: 'Password is incorrect' });
+    if ((await prisma.friendGroup.count({ where: { ownerId: userId } })) > 0) {
+      return res.status(409).json({ error: 'Transfer or delete your groups before deleting the account' });
+    }
+    const membership = await prisma.householdMember.findUnique({ where: { userId } });
+    const housemates = membership
+      ? await prisma.householdMember.findMany({ where: { householdId: membership.householdId, userId: { not: userId } } })
+      : [];
+    if (membership?.isAdmin && housemates.length > 0 && !housemates.some((m) => m.isAdmin)) {
+      return res.status(409).json({ error: 'Make another household member admin first' });
+    }
+
+    const openClaims = await prisma.claim.findMany({
+      where: { claimerId: userId, status: { in: ['PENDING', 'ACCEPTED'] } },
+      include: { item: true },
+    });
+    const cancelled = [];
+    for (const claim of openClaims) {
+      const updated = await cancelClaim(claim);
+      if (updated) cancelled.push(updated);
+    }
+    const heir = housemates.find((m) => m.isAdmin) || housemates[0];
+    const deletedItems = heir ? { ownerId: userId, householdId: null } : { ownerId: userId };
+    const photos = await prisma.itemPhoto.findMany({ where: { item: deletedItems } });
+    // People waiting on items that disappear are told; their claims go with the items
+    const orphanedClaims = await prisma.claim.findMany({
+      where: { item: deletedItems, status: { in: ['PENDING', 'ACCEPTED'] } },
+      include: { item: true },
+    });
+    const groupIds = (await prisma.groupMember.findMany({ where: { userId } })).map((m) => m.groupId);
+
+    const householdItems = heir ? { ownerId: userId, householdId: membership.householdId } : null;
+    await prisma.$transaction([
+      ...(heir
+        ? [
+            // Private categories are deleted with the account
+            prisma.foodItem.updateMany({
+              where: { ...householdItems, category: { ownerId: userId } },
+              data: { categoryId: null },
+            }),
+            prisma.foodItem.updateMany({ where: householdItems, data: { ownerId: heir.userId } }),
+          ]
+        : []),
+      ...itemDeletion({ ownerId: userId }),
+      ...(membership ? [prisma.householdMember.delete({ where: { userId } })] : []),
+      ...(membership && housemates.length === 0 ? [prisma.household.delete({ where: { id: membership.householdId } })] : []),
+      prisma.groupMember.deleteMany({ where: { userId } }),
+      prisma.groupRead.deleteMany({ where: { userId } }),
+      prisma.groupInvite.updateMany({ where: { createdById: userId, revokedAt: null }, data: { revokedAt: new Date() } }),
+      prisma.notification.deleteMany({ where: { userId } }),
+      prisma.userDietTag.deleteMany({ where: { userId } }),
+      prisma.foodCategory.deleteMany({ where: { ownerId: userId } }),
+      prisma.session.deleteMany({ where: { userId } }),
+      prisma.accountToken.deleteMany({ where: { userId } }),
+      prisma.user.update({
+        where: { id: userId },
+        data: {
+          name: DELETED_USER_NAME,
+          email: `deleted-${userId}@food-waste.local`,
+          passwordHash: '',
+          emailVerifiedAt: null,
+          isSystem: true,
+          deletedAt: new Date(),
+          digestEnabled: false,
+          latitude: null,
+          longitude: null,
+          locationLabel: null,
+        },
+      }),
+    ]);
+    res.status(204).end();
+    removePhotoFiles(photos);
+    groupIds.forEach((groupId) => realtime.disconnect(groupId, userId));
+    orphanedClaims.forEach((claim) => sendNotification(notifications.notify(claim.claimerId, {
+      type: 'CLAIM_CANCELLED',
+      title: `Claim-ul pentru ${claim.item.title} a fost anulat: proprietarul și-a șters contul`,
+    })));
+    cancelled.forEach((claim) => {
+      publishClaimUpdate(claim).catch((err) => console.error('Error publishing claim update:', err));
+      sendNotification(claimManagers(claim.item).then((userIds) => notifications.notifyMany(userIds, {
+        type: 'CLAIM_CANCELLED',
+        title: `Claim-ul pentru ${claim.item.title} a fost anulat: contul a fost șters`,
+        itemId: claim.itemId,
+        claimId: claim.id,
+      })));
+    });
+  } catch (err) {
+    console.error('Error deleting account:', err);
+    res.status(500).json({ error: 'Failed to delete account' });
+  }
+});
+
+// Verification and reset links point at the client, which posts the token back
+const sendAccountMail = (promise) => promise.catch((err) => console.error('Error sending account mail:', err));
+
+const sendVerificationMail = async (user, req) => {
+  const token = await accountTokens.issue(user, 'VERIFY_EMAIL');
+  await mailer.send(renderVerificationMail(user, `${publicBaseUrl(req)}/?verify=${token}`));
+};
+
+// Resending the verification mail is limited per account
+const verificationMailLimiter = createRateLimiter({
+  limit: Number(process.env.VERIFICATION_MAIL_RATE_LIMIT || 5),
+  windowMs: 60 * 60 * 1000,
+  key: (req) => req.user.id,
+});
+
+app.post('/api/auth/verify-email/send', authMiddleware, verificationMailLimiter, async (req, res) => {
+  if (req.user.emailVerifiedAt) return res.status(409).json({ error: 'Email already verified' });
+  try {
+    await sendVerificationMail(req.user, req);
+    res.status(204).end();
+  } catch (err) {
+    console.error('Error sending verification mail:', err);
+    res.status(500).json({ error: 'Failed to send verification email' });
+  }
+});
+
+app.post('/api/auth/verify-email', async (req, res) => {
+  const { token } = req.body;
+  if (!token) return res.status(400).json({ error: 'token required' });
+  try {
+    const record = await accountTokens.consume(token, 'VERIFY_EMAIL');
+    if (!record) return res.status(400).json({ error: 'Invalid or expired token' });
+    await prisma.user.update({ where: { id: record.userId }, data: { emailVerifiedAt: new Date() } });
+    res.status(204).end();
+  } catch (err) {
+    console.error('Error verifying email:', err);
+    res.status(500).json({ error: 'Failed to verify email' });
+  }
+});
+
+// Reset requests mail whoever asks, so they are limited per IP
+const passwordResetLimiter = createRateLimiter({
+  limit: Number(process.env.PASSWORD_RESET_RATE_LIMIT || 5),
+  windowMs: 60 * 60 * 1000,
+});
+
+// Always 204, so the endpoint does not reveal which addresses have an account
+app.post('/api/auth/password-reset/request', passwordResetLimiter, async (req, res) => {
+  const { email } = req.body;
+  if (!email) return res.status(400).json({ error: 'email required' });
+  try {
+    const user = await prisma.user.findUnique({ where: { email: String(email).trim() } });
+    res.status(204).end();
+    if (!user || user.isSystem) return;
+    sendAccountMail(
+      accountTokens
+        .issue(user, 'RESET_PASSWORD')
+        .then((token) => mailer.send(renderPasswordResetMail(user, `${publicBaseUrl(req)}/?reset=${token}`)))
+    );
+  } catch (err) {
+    console.error('Error requesting password reset:', err);
+    res.status(500).json({ error: 'Failed to request password reset' });
+  }
+});
+
+// Set a new password from a reset link; every session of the account is logged out
+app.post('/api/auth/password-reset', async (req, res) => {
+  const { token, password } = req.body;
+  if (!token || !password) return res.status(400).json({ error: 'token and password required' });
+  try {
+    const record = await accountTokens.consume(token, 'RESET_PASSWORD');
+    if (!record) return res.status(400).json({ error: 'Invalid or expired token' });
+    const passwordHash = await bcrypt.hash(password, 10);
+    // The link arrived by email, which also proves the address
+    await prisma.user.update({
+      where: { id: record.userId },
+      data: { passwordHash, emailVerifiedAt: record.user.emailVerifiedAt || new Date() },
+    });
+    await sessions.revoke(record.userId);
+    res.status(204).end();
+  } catch (err) {
+    console.error('Error resetting password:', err);
+    res.status(500).json({ error: 'Failed to reset password' });
+  }
+});
+
+// Saved pickup location, used as the default location of new items
+const userLocation = (user) => ({
+  latitude: user.latitude,
+  longitude: user.longitude,
+  locationLabel: user.locationLabel,
+});
+
+const accountView = (user) => ({
+  id: user.id,
+  name: user.name,
+  email: user.email,
+  emailVerified: Boolean(user.emailVerifiedAt),
+  ...userLocation(user),
+});
+
 app.get('/api/me', authMiddleware, async (req, res) => {
-  res.json({ id: req.user.id, name: req.user.name, email: req.user.email });
+  res.json(accountView(req.user));
+});
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Profile edits: name, email and password. A new email or password needs the current password;
+// a new email must be verified again, and a new password logs out every other session.
+app.patch('/api/me', authMiddleware, async (req, res) => {
+  const { name, email, currentPassword, newPassword } = req.body;
+  const data = {};
+  if (name !== undefined) {
+    if (typeof name !== 'string' || !name.trim()) return res.status(400).json({ error: 'name must not be empty' });
+    data.name = name.trim();
+  }
+  const newEmail = typeof email === 'string' ? email.trim() : email;
+  if (newEmail !== undefined && newEmail !== req.user.email) {
+    if (typeof newEmail !== 'string' || !EMAIL_PATTERN.test(newEmail)) {
+      return res.status(400).json({ error: 'email must be a valid address' });
+    }
+    data.email = newEmail;
+    data.emailVerifiedAt = null;
+  }
+  if (newPassword !== undefined && (typeof newPassword !== 'string' || !newPassword)) {
+    return res.status(400).json({ error: 'newPassword must not be empty' });
+  }
+  if (Object.keys(data).length === 0 && newPassword === undefined) return res.json(accountView(req.user));
+  try {
+    if (data.email || newPassword !== undefined) {
+      const ok = currentPassword && (await bcrypt.compare(String(currentPassword), req.user.passwordHash));
+      if (!ok) return res.status(403).json({ error: 'Current password is incorrect' });
+    }
+    if (newPassword !== undefined) data.passwordHash = await bcrypt.hash(newPassword, 10);
+    if (data.email && (await prisma.user.findUnique({ where: { email: data.email } }))) {
+      return res.status(409).json({ error: 'Email already registered' });
+    }
+    const user = await prisma.user.update({ where: { id: req.user.id }, data });
+    if (data.passwordHash) await sessions.revoke(user.id, { id: { not: req.sessionId } });
+    res.json(accountView(user));
+    if (data.email) sendAccountMail(sendVerificationMail(user, req));
+  } catch (err) {
+    if (err.code === 'P2002') return res.status(409).json({ error: 'Email already registered' });
+    console.error('Error updating account:', err);
+    res.status(500).json({ error: 'Failed to update account' });
+  }
+});
+
+app.put('/api/me/location', authMiddleware, async (req, res) => {
+  const location = parseLocation(req.body);
+  if (!location) return res.status(400).json({ error: 'latitude and longitude required' });
+  if (location.error) return res.status(400).json({ error: location.error });
+  try {
+    const user = await prisma.user.update({ where: { id: req.user.id }, data: location });
+    res.json(userLocation(user));
+  } catch (err) {
+    console.error('Error updating location:', err);
+    res.status(500).json({ error: 'Failed to update location' });
+  }
+});
+
+// Dietary requirements and allergies used to match items
+const userTags = async (userId) =>
+  (await prisma.userDietTag.findMany({ where: { userId } })).map((t) => t.tag);
+
+app.get('/api/me/diet', authMiddleware, async (req, res) => {
+  try {
+    res.json({ tags: await userTags(req.user.id), diets: DIET_TAGS, allergens: ALLERGEN_TAGS });
+  } catch (err) {
+    console.error('Error fetching diet tags:', err);
+    res.status(500).json({ error: 'Failed to fetch diet tags' });
+  }
+});
+
+app.put('/api/me/diet', authMiddleware, async (req, res) => {
+  const parsed = parseTags(req.body.tags);
+  if (parsed.error) return res.status(400).json({ error: parsed.error });
+  try {
+    const userId = req.user.id;
+    await prisma.$transaction([
+      prisma.userDietTag.deleteMany({ where: { userId } }),
+      prisma.userDietTag.createMany({ data: parsed.tags.map((tag) => ({ userId, tag })) }),
+    ]);
+    res.json({ tags: parsed.tags, diets: DIET_TAGS, allergens: ALLERGEN_TAGS });
+  } catch (err) {
+    console.error('Error updating diet tags:', err);
+    res.status(500).json({ error: 'Failed to update diet tags' });
+  }
+});
+
+// Expiry digest email preferences
+const digestPreferences = (user) => ({
+  enabled: user.digestEnabled,
+  hour: user.digestHour,
+  days: user.digestDays,
+  timezone: user.digestTimezone,
+  lastSentAt: user.lastDigestAt,
+});
+
+app.get('/api/me/digest', authMiddleware, async (req, res) => {
+  res.json(digestPreferences(req.user));
+});
+
+app.put('/api/me/digest', authMiddleware, async (req, res) => {
+  const { enabled, hour, days, timezone } = req.body;
+  const data = {};
+  if (enabled !== undefined) data.digestEnabled = Boolean(enabled);
+  if (hour !== undefined) {
+    if (!Number.isInteger(hour) || hour < 0 || hour > 23) {
+      return res.status(400).json({ error: 'hour must be an integer between 0 and 23' });
+    }
+    data.digestHour = hour;
+  }
+  if (days !== undefined) {
+    if (!Number.isInteger(days) || days < 1 || days > 14) {
+      return res.status(400).json({ error: 'days must be an integer between 1 and 14' });
+    }
+    data.digestDays = days;
+  }
+  if (timezone !== undefined) {
+    if (!isValidTimezone(timezone)) return res.status(400).json({ error: 'invalid timezone' });
+    data.digestTimezone = timezone;
+  }
+  try {
+    const user = await prisma.user.update({ where: { id: req.user.id }, data });
+    res.json(digestPreferences(user));
+  } catch (err) {
+    console.error('Error updating digest preferences:', err);
+    res.status(500).json({ error: 'Failed to update preferences' });
+  }
+});
+
+// Donations: the original quick-share form, now backed by items. Anonymous donations become
+// public, available items of a system user; the endpoints keep the old
+// { id, item, quantity, location, createdAt } shape.
+const DONATIONS_USER_EMAIL = 'donations@food-waste.local';
+
+// Created by migration; upserted so a fresh database works as well
+const donationsUser = () =>
+  prisma.user.upsert({
+    where: { email: DONATIONS_USER_EMAIL },
+    update: {},
+    create: { name: 'Donație anonimă', email: DONATIONS_USER_EMAIL, isSystem: true },
+  });
+
+const toDonation = (item) => ({
+  id: item.id,
+  item: item.title,
+  quantity: item.quantityNote ?? (item.quantity !== null ? `${item.quantity} ${item.unit || ''}`.trim() : ''),
+  location: item.locationLabel || '',
+  createdAt: item.createdAt,
+});
+
+// Anonymous posting is open to everyone, so it is limited per IP
+const donationLimiter = createRateLimiter({
+  limit: Number(process.env.DONATION_RATE_LIMIT || 5),
+  windowMs: 60 * 60 * 1000,
 });
 
-// Donations (legacy quick share)
 app.get('/api/donations', async (_req, res) => {
   try {
-    const donations = await prisma.donation.findMany({
+    const items = await prisma.foodItem.findMany({
+      where: { owner: { email: DONATIONS_USER_EMAIL }, status: 'AVAILABLE' },
       orderBy: { createdAt: 'desc' },
+      take: 50,
     });
-    res.json(donations);
+    res.json(items.map(toDonation));
   } catch (err) {
     console.error('Error fetching donations:', err);
     res.status(500).json({ error: 'Failed to fetch donations' });
   }
 });
 
-app.post('/api/donations', async (req, res) => {
+app.post('/api/donations', donationLimiter, async (req, res) => {
   const { item, quantity, location } = req.body;
 
   if (!item || !quantity || !location) {
@@ -111,10 +826,18 @@ app.post('/api/donations', async (req, res) => {
   }
 
   try {
-    const donation = await prisma.donation.create({
-      data: { item, quantity, location },
+    const owner = await donationsUser();
+    const created = await prisma.foodItem.create({
+      data: {
+        title: String(item).trim().slice(0, 120),
+        quantityNote: String(quantity).trim().slice(0, 60),
+        locationLabel: String(location).trim().slice(0, 120),
+        status: 'AVAILABLE',
+        visibility: 'PUBLIC',
+        ownerId: owner.id,
+      },
     });
-    res.status(201).json(donation);
+    res.status(201).json(toDonation(created));
   } catch (err) {
     console.error('Error creating donation:', err);
     res.status(500).json({ error: 'Failed to create donation' });
@@ -123,14 +846,19 @@ app.post('/api/donations', async (req, res) => {
 
 // Food items
 app.get('/api/items', authMiddleware, async (req, res) => {
+  const listQuery = parseItemListQuery(req.query);
+  if (listQuery.error) return res.status(400).json({ error: listQuery.error });
   try {
-    const user = req.user;
-    const items = await prisma.foodItem.findMany({
-      where: { ownerId: user.id },
-      include: { category: true, claims: true },
-      orderBy: { createdAt: 'desc' },
+    const scope = await itemScope(req.user.id, req.query.scope);
+    if (scope.error) return res.status(400).json({ error: scope.error });
+    const page = await listItems(scope.where, listQuery, {
+      category: true,
+      claims: true,
+      tags: true,
+      photos: ITEM_PHOTOS,
+      pickupSlots: upcomingSlots(),
     });
-    res.json(items);
+    res.json(page);
   } catch (err) {
     console.error('Error fetching items:', err);
     res.status(500).json({ error: 'Failed to fetch items' });
@@ -140,18 +868,48 @@ app.get('/api/items', authMiddleware, async (req, res) => {
 app.post('/api/items', authMiddleware, async (req, res) => {
   const { title, categoryId, expiresAt } = req.body;
   if (!title) return res.status(400).json({ error: 'title is required' });
+  const amount = parseQuantity(req.body.quantity, req.body.unit);
+  if (amount.error) return res.status(400).json({ error: amount.error });
+  const location = parseLocation(req.body);
+  if (location?.error) return res.status(400).json({ error: location.error });
+  // Nothing becomes public unless the owner chooses it; sharing into a group opens a private item to groups
+  const { visibility = 'PRIVATE' } = req.body;
+  if (!ITEM_VISIBILITIES.includes(visibility)) {
+    return res.status(400).json({ error: `visibility must be one of ${ITEM_VISIBILITIES.join(', ')}` });
+  }
+  const parsedTags = parseTags(req.body.tags ?? []);
+  if (parsedTags.error) return res.status(400).json({ error: parsedTags.error });
+  const stored = parseStorage(req.body);
+  if (stored.error) return res.status(400).json({ error: stored.error });
+  const storage = stored.storage || 'FRIDGE';
 
   try {
     const user = req.user;
-    await ensureCategories();
+    if (categoryId && !(await findUsableCategory(categoryId, user.id))) {
+      return res.status(400).json({ error: 'unknown category' });
+    }
+    // household: true puts the item in the caller's shared fridge
+    const member = req.body.household ? await prisma.householdMember.findUnique({ where: { userId: user.id } }) : null;
+    if (req.body.household && !member) return res.status(400).json({ error: 'You are not in a household' });
+    // Without an explicit date the expiry is estimated from the category and marked as such
+    const estimate = expiresAt ? null : await estimateItemExpiry(categoryId, storage, stored.openedAt);
     const item = await prisma.foodItem.create({
       data: {
         title,
         categoryId: categoryId || null,
-        expiresAt: expiresAt ? new Date(expiresAt) : null,
+        expiresAt: expiresAt ? new Date(expiresAt) : estimate,
+        expiresEstimated: Boolean(estimate),
+        storage,
+        openedAt: stored.openedAt || null,
+        quantity: amount.quantity,
+        unit: amount.unit,
+        visibility,
+        ...(location || userLocation(user)),
         ownerId: user.id,
+        householdId: member?.householdId ?? null,
+        tags: { create: parsedTags.tags.map((tag) => ({ tag })) },
       },
-      include: { category: true },
+      include: { category: true, tags: true },
     });
     res.status(201).json(item);
   } catch (err) {
@@ -160,39 +918,370 @@ app.post('/api/items', authMiddleware, async (req, res) => {
   }
 });
 
+// Items become CLAIMED only by accepting a claim. Withdrawing or closing an item ends its open
+// claims; marking a CLAIMED item DONATED records the handoff to its taker instead. Portions of
+// claims ended by a withdrawal go back into the item's quantity.
 app.patch('/api/items/:id/status', authMiddleware, async (req, res) => {
   const { status } = req.body;
   const id = Number(req.params.id);
-  if (!['IN_FRIDGE', 'AVAILABLE', 'CLAIMED'].includes(status)) {
-    return res.status(400).json({ error: 'invalid status' });
+  if (!['IN_FRIDGE', 'AVAILABLE', ...OUTCOMES].includes(status)) {
+    return res.status(400).json({ error: 'status must be IN_FRIDGE, AVAILABLE or an outcome' });
+  }
+  try {
+    const item = await findItemForAction(req, res, status === 'AVAILABLE' ? 'canShare' : 'edit');
+    if (!item) return;
+    if (OUTCOMES.includes(item.status)) return res.status(409).json({ error: 'Item is already closed' });
+    if (status === 'AVAILABLE' && (await prisma.claim.count({ where: { itemId: id, status: 'ACCEPTED' } })) > 0) {
+      return res.status(409).json({ error: 'Item has an accepted claim' });
+    }
+    const now = new Date();
+    const ended = [];
+    const updated = await prisma.$transaction(async (tx) => {
+      const data = { status, closedAt: OUTCOMES.includes(status) ? now : null };
+      if (status === 'AVAILABLE') return tx.foodItem.update({ where: { id }, data });
+
+      const taker = item.status === 'CLAIMED' ? await findTakerClaim(tx, id) : null;
+      if (status === 'DONATED' && taker?.status === 'ACCEPTED') {
+        await tx.claim.update({ where: { id: taker.id }, data: { status: 'COMPLETED', completedAt: now } });
+      }
+      const open = await tx.claim.findMany({ where: { itemId: id, status: { in: ['PENDING', 'ACCEPTED'] } } });
+      await tx.claim.updateMany({
+        where: { id: { in: open.map((c) => c.id) }, status: { in: ['PENDING', 'ACCEPTED'] } },
+        data: { status: 'CANCELLED' },
+      });
+      ended.push(...open);
+      if (status === 'IN_FRIDGE' && item.quantity !== null) {
+        // A CLAIMED item's quantity already is its taker's portion
+        const returned = open
+          .filter((c) => c.status === 'ACCEPTED' && c.quantity !== null && c.id !== taker?.id)
+          .reduce((sum, c) => sum + c.quantity, 0);
+        data.quantity = item.quantity + returned;
+      }
+      return tx.foodItem.update({ where: { id }, data });
+    });
+    res.json(updated);
+    ended.forEach((claim) => {
+      publishClaimUpdate({ ...claim, status: 'CANCELLED' })
+        .catch((err) => console.error('Error publishing claim update:', err));
+      sendNotification(notifications.notify(claim.claimerId, {
+        type: 'CLAIM_CANCELLED',
+        title: `Claim-ul pentru ${item.title} a fost anulat: produsul nu mai este oferit`,
+        itemId: item.id,
+        claimId: claim.id,
+      }));
+    });
+  } catch (err) {
+    console.error('Error updating status:', err);
+    res.status(500).json({ error: 'Failed to update item' });
+  }
+});
+
+// Edit item fields (owner-only)
+const updateItem = async (req, res) => {
+  const id = Number(req.params.id);
+  const { title, categoryId, expiresAt, visibility } = req.body;
+  if (title !== undefined && !String(title).trim()) {
+    return res.status(400).json({ error: 'title cannot be empty' });
+  }
+  if (visibility !== undefined && !ITEM_VISIBILITIES.includes(visibility)) {
+    return res.status(400).json({ error: `visibility must be one of ${ITEM_VISIBILITIES.join(', ')}` });
+  }
+  const parsedTags = req.body.tags === undefined ? null : parseTags(req.body.tags);
+  if (parsedTags?.error) return res.status(400).json({ error: parsedTags.error });
+  const amount = parseQuantity(req.body.quantity, req.body.unit);
+  if (req.body.quantity !== undefined && amount.error) {
+    return res.status(400).json({ error: amount.error });
   }
+  const location = parseLocation(req.body);
+  if (location?.error) return res.status(400).json({ error: location.error });
+  const stored = parseStorage(req.body);
+  if (stored.error) return res.status(400).json({ error: stored.error });
   try {
     const user = req.user;
+    const item = await findItemForAction(req, res, visibility !== undefined ? 'canShare' : 'edit');
+    if (!item) return;
+    if (categoryId && !(await findUsableCategory(categoryId, user.id))) {
+      return res.status(400).json({ error: 'unknown category' });
+    }
+
+    const data = {};
+    // Only the member who added an item moves it into or out of the household fridge
+    if (req.body.household !== undefined) {
+      if (item.ownerId !== user.id) return res.status(403).json({ error: 'Only the owner can move the item' });
+      const member = req.body.household ? await prisma.householdMember.findUnique({ where: { userId: user.id } }) : null;
+      if (req.body.household && !member) return res.status(400).json({ error: 'You are not in a household' });
+      data.householdId = member?.householdId ?? null;
+    }
+    if (title !== undefined) data.title = String(title).trim();
+    if (categoryId !== undefined) data.categoryId = categoryId ? Number(categoryId) : null;
+    if (stored.storage !== undefined) data.storage = stored.storage;
+    if (stored.openedAt !== undefined) data.openedAt = stored.openedAt;
+    if (expiresAt) {
+      data.expiresAt = new Date(expiresAt);
+      data.expiresEstimated = false;
+    } else if (expiresAt === null || expiresAt === '' || ((item.expiresEstimated || !item.expiresAt)
+      && (data.categoryId !== undefined || data.storage !== undefined || data.openedAt !== undefined))) {
+      // A cleared or missing date, or an estimate whose inputs changed, is (re-)estimated
+      // from the item's category, storage and the day it was added
+      const estimate = await estimateItemExpiry(
+        data.categoryId !== undefined ? data.categoryId : item.categoryId,
+        data.storage || item.storage,
+        data.openedAt !== undefined ? data.openedAt : item.openedAt,
+        item.createdAt,
+      );
+      data.expiresAt = estimate;
+      data.expiresEstimated = Boolean(estimate);
+    }
+    if (req.body.quantity !== undefined) {
+      data.quantity = amount.quantity;
+      data.unit = amount.unit;
+    }
+    if (location) Object.assign(data, location);
+    if (visibility !== undefined) data.visibility = visibility;
+    if (parsedTags) data.tags = { deleteMany: {}, create: parsedTags.tags.map((tag) => ({ tag })) };
+
     const updated = await prisma.foodItem.update({
-      where: { id_ownerId: { id, ownerId: user.id } },
-      data: { status },
+      where: { id },
+      data,
+      include: { category: true, claims: true, tags: true },
     });
     res.json(updated);
   } catch (err) {
-    console.error('Error updating status:', err);
+    console.error('Error updating item:', err);
     res.status(500).json({ error: 'Failed to update item' });
   }
+};
+
+app.put('/api/items/:id', authMiddleware, updateItem);
+app.patch('/api/items/:id', authMiddleware, updateItem);
+
+// Queries deleting the items matching `where` with their claims, shares and photo rows, for a transaction
+const itemDeletion = (where) => [
+  prisma.itemPhoto.deleteMany({ where: { item: where } }),
+  prisma.shareClick.deleteMany({ where: { share: { item: where } } }),
+  prisma.publicShare.deleteMany({ where: { item: where } }),
+  prisma.claimMessage.deleteMany({ where: { claim: { item: where } } }),
+  prisma.claim.deleteMany({ where: { item: where } }),
+  prisma.pickupSlot.deleteMany({ where: { item: where } }),
+  prisma.foodItemTag.deleteMany({ where: { item: where } }),
+  prisma.groupShare.deleteMany({ where: { item: where } }),
+  prisma.foodItem.deleteMany({ where }),
+];
+
+// Delete item together with its claims and group shares (owner or household member)
+app.delete('/api/items/:id', authMiddleware, async (req, res) => {
+  const id = Number(req.params.id);
+  try {
+    const item = await findItemForAction(req, res);
+    if (!item) return;
+    const photos = await prisma.itemPhoto.findMany({ where: { itemId: id } });
+
+    await prisma.$transaction(itemDeletion({ id }));
+    res.status(204).end();
+    removePhotoFiles(photos);
+  } catch (err) {
+    console.error('Error deleting item:', err);
+    res.status(500).json({ error: 'Failed to delete item' });
+  }
 });
 
-app.get('/api/items/expiring', authMiddleware, async (req, res) => {
-  const days = Number(req.query.days || 3);
-  const until = new Date();
-  until.setDate(until.getDate() + days);
+// Photos are stored through the storage driver and served back by key from /api/media/:key,
+// which needs no auth so they work in <img> tags; keys are random UUIDs.
+const ITEM_PHOTOS = { orderBy: { id: 'asc' } };
+
+// Runs after the rows are gone; a failure only leaves an orphaned file behind
+const removePhotoFiles = (photos) =>
+  Promise.all(photos.flatMap((p) => [storage.remove(p.key), storage.remove(p.thumbnailKey)])).catch((err) =>
+    console.error('Error removing photo files:', err)
+  );
+
+// Upload up to MAX_PHOTOS_PER_ITEM photos (multipart field "photos"); each gets a thumbnail
+app.post('/api/items/:id/photos', authMiddleware, uploadPhotos, async (req, res) => {
+  const id = Number(req.params.id);
+  const files = req.files || [];
+  if (files.length === 0) return res.status(400).json({ error: 'photos are required' });
+  const stored = [];
+  try {
+    const item = await findItemForAction(req, res);
+    if (!item) return;
+    if ((await prisma.itemPhoto.count({ where: { itemId: id } })) + files.length > MAX_PHOTOS_PER_ITEM) {
+      return res.status(400).json({ error: `at most ${MAX_PHOTOS_PER_ITEM} photos per item` });
+    }
+
+    for (const file of files) {
+      const photo = await processPhoto(file.buffer);
+      await storage.put(photo.key, photo.full, 'image/webp');
+      await storage.put(photo.thumbnailKey, photo.thumbnail, 'image/webp');
+      stored.push(photo);
+    }
+    await prisma.itemPhoto.createMany({
+      data: stored.map(({ key, thumbnailKey, width, height }) => ({ itemId: id, key, thumbnailKey, width, height })),
+    });
+    const photos = await prisma.itemPhoto.findMany({ where: { itemId: id }, ...ITEM_PHOTOS });
+    res.status(201).json(photos);
+  } catch (err) {
+    removePhotoFiles(stored);
+    if (err instanceof PhotoError) return res.status(400).json({ error: err.message });
+    console.error('Error uploading photos:', err);
+    res.status(500).json({ error: 'Failed to upload photos' });
+  }
+});
+
+app.delete('/api/items/:id/photos/:photoId', authMiddleware, async (req, res) => {
+  const id = Number(req.params.id);
+  const photoId = Number(req.params.photoId);
+  try {
+    const item = await findItemForAction(req, res);
+    if (!item) return;
+    const photo = await prisma.itemPhoto.findFirst({ where: { id: photoId, itemId: id } });
+    if (!photo) return res.status(404).json({ error: 'photo not found' });
+    await prisma.itemPhoto.delete({ where: { id: photo.id } });
+    res.status(204).end();
+    removePhotoFiles([photo]);
+  } catch (err) {
+    console.error('Error deleting photo:', err);
+    res.status(500).json({ error: 'Failed to delete photo' });
+  }
+});
+
+app.get('/api/media/:key', async (req, res) => {
+  try {
+    const file = await storage.get(req.params.key);
+    if (!file) return res.status(404).json({ error: 'file not found' });
+    res.set('Cache-Control', 'public, max-age=31536000, immutable');
+    res.type(file.contentType).send(file.body);
+  } catch (err) {
+    console.error('Error reading file:', err);
+    res.status(500).json({ error: 'Failed to read file' });
+  }
+});
+
+// Validate a pickup window { startsAt, endsAt }; returns { error } or the parsed dates
+const parseSlotWindow = ({ startsAt, endsAt }) => {
+  const start = new Date(startsAt);
+  const end = new Date(endsAt);
+  if (!startsAt || !endsAt || Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
+    return { error: 'startsAt and endsAt must be dates' };
+  }
+  if (end <= start) return { error: 'endsAt must be after startsAt' };
+  if (end <= new Date()) return { error: 'pickup window is already over' };
+  return { startsAt: start, endsAt: end };
+};
+
+// Only upcoming slots of the claimed item can be booked
+const findBookableSlot = async (itemId, slotId) => {
+  const slot = await prisma.pickupSlot.findUnique({ where: { id: Number(slotId) } });
+  if (!slot || slot.itemId !== itemId || slot.endsAt <= new Date()) return null;
+  return slot;
+};
+
+const upcomingSlots = () => ({ where: { endsAt: { gt: new Date() } }, orderBy: { startsAt: 'asc' } });
+
+// Pickup windows of an item: visible to its owner, to whoever may claim it while available and to its claimers
+app.get('/api/items/:id/slots', authMiddleware, async (req, res) => {
+  const id = Number(req.params.id);
   try {
     const user = req.user;
-    const items = await prisma.foodItem.findMany({
-      where: {
-        ownerId: user.id,
-        expiresAt: { lte: until },
-        status: 'IN_FRIDGE',
-      },
-      orderBy: { expiresAt: 'asc' },
+    const item = await prisma.foodItem.findUnique({
+      where: { id },
+      include: { claims: { where: { claimerId: user.id } } },
+    });
+    if (!item) return res.status(404).json({ error: 'item not found' });
+    const canBook = item.status === 'AVAILABLE' && (await canSeeItem(item, user.id));
+    if (!canBook && item.claims.length === 0 && !(await canActOnItem(item, user.id))) {
+      return res.status(403).json({ error: 'Not allowed' });
+    }
+    const slots = await prisma.pickupSlot.findMany({
+      where: { itemId: id, endsAt: { gt: new Date() } },
+      orderBy: { startsAt: 'asc' },
+    });
+    res.json(slots);
+  } catch (err) {
+    console.error('Error fetching pickup slots:', err);
+    res.status(500).json({ error: 'Failed to fetch pickup slots' });
+  }
+});
+
+app.post('/api/items/:id/slots', authMiddleware, async (req, res) => {
+  const id = Number(req.params.id);
+  const window = parseSlotWindow(req.body);
+  if (window.error) return res.status(400).json({ error: window.error });
+  try {
+    const item = await findItemForAction(req, res, 'canShare');
+    if (!item) return;
+    if (OUTCOMES.includes(item.status)) return res.status(409).json({ error: 'Item is closed' });
+    const slot = await prisma.pickupSlot.create({ data: { itemId: id, ...window } });
+    res.status(201).json(slot);
+  } catch (err) {
+    console.error('Error creating pickup slot:', err);
+    res.status(500).json({ error: 'Failed to create pickup slot' });
+  }
+});
+
+// Owner withdraws a window nobody has booked yet
+app.delete('/api/items/:id/slots/:slotId', authMiddleware, async (req, res) => {
+  const id = Number(req.params.id);
+  const slotId = Number(req.params.slotId);
+  try {
+    const item = await findItemForAction(req, res, 'canShare');
+    if (!item) return;
+    const slot = await prisma.pickupSlot.findUnique({ where: { id: slotId } });
+    if (!slot || slot.itemId !== id) return res.status(404).json({ error: 'slot not found' });
+    const booked = await prisma.claim.count({
+      where: { pickupSlotId: slotId, status: { in: ['PENDING', 'ACCEPTED'] } },
     });
+    if (booked > 0) return res.status(409).json({ error: 'Slot is booked by an open claim' });
+    await prisma.$transaction([
+      prisma.claim.updateMany({ where: { pickupSlotId: slotId }, data: { pickupSlotId: null } }),
+      prisma.pickupSlot.delete({ where: { id: slotId } }),
+    ]);
+    res.status(204).end();
+  } catch (err) {
+    console.error('Error deleting pickup slot:', err);
+    res.status(500).json({ error: 'Failed to delete pickup slot' });
+  }
+});
+
+// Items matching `where` still in the fridge that expire within `days` (shared by the endpoint and the email digest)
+const findExpiringItems = (where, days) => {
+  const until = new Date();
+  until.setDate(until.getDate() + days);
+  return prisma.foodItem.findMany({
+    where: {
+      ...where,
+      expiresAt: { lte: until },
+      status: 'IN_FRIDGE',
+    },
+    orderBy: { expiresAt: 'asc' },
+  });
+};
+
+// The digest covers the user's own items and their household fridge
+const digest = createDigest({
+  prisma,
+  mailer,
+  findExpiringItems: async (userId, days) => findExpiringItems((await itemScope(userId, 'all')).where, days),
+});
+
+// Suggested expiry for the add-item form: ?categoryId, storage and openedAt
+app.get('/api/items/estimate', authMiddleware, async (req, res) => {
+  const stored = parseStorage(req.query);
+  if (stored.error) return res.status(400).json({ error: stored.error });
+  try {
+    const expiresAt = await estimateItemExpiry(req.query.categoryId, stored.storage || 'FRIDGE', stored.openedAt);
+    res.json({ expiresAt, estimated: Boolean(expiresAt) });
+  } catch (err) {
+    console.error('Error estimating expiry:', err);
+    res.status(500).json({ error: 'Failed to estimate expiry' });
+  }
+});
+
+app.get('/api/items/expiring', authMiddleware, async (req, res) => {
+  const days = Number(req.query.days || 3);
+  try {
+    const scope = await itemScope(req.user.id, req.query.scope);
+    if (scope.error) return res.status(400).json({ error: scope.error });
+    const items = await findExpiringItems(scope.where, days);
     res.json(items);
   } catch (err) {
     console.error('Error fetching expiring items:', err);
@@ -200,11 +1289,137 @@ app.get('/api/items/expiring', authMiddleware, async (req, res) => {
   }
 });
 
+// Personal waste report: closed items grouped by month and category
+app.get('/api/stats/me', authMiddleware, async (req, res) => {
+  try {
+    const user = req.user;
+    const items = await prisma.foodItem.findMany({
+      where: { ownerId: user.id, status: { in: OUTCOMES } },
+      include: { category: true },
+      orderBy: { closedAt: 'asc' },
+    });
+
+    const emptyRow = () => ({ consumed: 0, donated: 0, wasted: 0, saved: 0 });
+    const totals = emptyRow();
+    const months = {};
+    const categories = {};
+    items.forEach((item) => {
+      const month = (item.closedAt || item.createdAt).toISOString().slice(0, 7);
+      const category = item.category?.name || 'Fără categorie';
+      months[month] = months[month] || { month, ...emptyRow() };
+      categories[category] = categories[category] || { category, ...emptyRow() };
+      [totals, months[month], categories[category]].forEach((row) => {
+        row[item.status.toLowerCase()] += 1;
+        if (item.status !== 'WASTED') row.saved += 1;
+      });
+    });
+
+    res.json({
+      totals,
+      months: Object.values(months),
+      categories: Object.values(categories).sort((a, b) => b.wasted - a.wasted),
+    });
+  } catch (err) {
+    console.error('Error fetching stats:', err);
+    res.status(500).json({ error: 'Failed to fetch stats' });
+  }
+});
+
+// Barcode lookup
+// UPC-A codes are EAN-13 codes with the leading zero dropped, so both spellings are tried
+const barcodeVariants = (code) => {
+  if (code.length === 12) return [code, `0${code}`];
+  if (code.length === 13 && code.startsWith('0')) return [code, code.slice(1)];
+  return [code];
+};
+
+// Resolve a scanned EAN/UPC code against the imported product catalog
+app.get('/api/products/:barcode', authMiddleware, async (req, res) => {
+  const { barcode } = req.params;
+  if (!/^\d{8,14}$/.test(barcode)) return res.status(400).json({ error: 'barcode must have 8 to 14 digits' });
+  try {
+    const product = await prisma.product.findFirst({
+      where: { barcode: { in: barcodeVariants(barcode) } },
+      include: { category: true },
+    });
+    if (!product) return res.status(404).json({ error: 'product not found' });
+    let suggestedExpiresAt = null;
+    if (product.shelfLifeDays !== null) {
+      suggestedExpiresAt = new Date();
+      suggestedExpiresAt.setDate(suggestedExpiresAt.getDate() + product.shelfLifeDays);
+    }
+    res.json({ ...product, suggestedExpiresAt });
+  } catch (err) {
+    console.error('Error looking up product:', err);
+    res.status(500).json({ error: 'Failed to look up product' });
+  }
+});
+
 // Categories
-app.get('/api/categories', async (_req, res) => {
+// Built-in categories (ownerId null) are seeded by migration; users add private ones next to them
+const CATEGORY_RULE_FIELDS = ['fridgeDays', 'freezerDays', 'pantryDays', 'openedDays'];
+
+// Validate category fields from a request body (all optional); returns { error } or { data }
+const parseCategory = (body) => {
+  const data = {};
+  if (body.name !== undefined) {
+    const name = String(body.name).trim();
+    if (!name || name.length > 40) return { error: 'name must have 1 to 40 characters' };
+    data.name = name;
+  }
+  if (body.icon !== undefined) {
+    const icon = body.icon ? String(body.icon).trim() : '';
+    if (icon.length > 8) return { error: 'icon must have at most 8 characters' };
+    data.icon = icon || null;
+  }
+  if (body.color !== undefined) {
+    if (body.color && !/^#[0-9a-f]{6}$/i.test(body.color)) return { error: 'color must look like #a1b2c3' };
+    data.color = body.color || null;
+  }
+  for (const field of CATEGORY_RULE_FIELDS) {
+    const days = body[field];
+    if (days === undefined) continue;
+    if (days !== null && (!Number.isInteger(days) || days < 0 || days > 3650)) {
+      return { error: `${field} must be a whole number of days` };
+    }
+    data[field] = days;
+  }
+  return { data };
+};
+
+const usableCategories = (userId) => ({ OR: [{ ownerId: null }, { ownerId: userId }] });
+
+const findUsableCategory = (id, userId) =>
+  prisma.foodCategory.findFirst({ where: { id: Number(id), ...usableCategories(userId) } });
+
+// Names must be unique among the categories a user sees (built-in plus their own)
+const categoryNameTaken = async (name, userId, exceptId = null) =>
+  (await prisma.foodCategory.count({
+    where: { name, ...usableCategories(userId), ...(exceptId ? { id: { not: exceptId } } : {}) },
+  })) > 0;
+
+// Resolve a category the caller owns, answering 404/403 when it is missing or built-in
+const findOwnCategory = async (req, res) => {
+  const category = await prisma.foodCategory.findUnique({ where: { id: Number(req.params.id) } });
+  if (!category || (category.ownerId !== null && category.ownerId !== req.user.id)) {
+    res.status(404).json({ error: 'category not found' });
+    return null;
+  }
+  if (category.ownerId === null) {
+    res.status(403).json({ error: 'Built-in categories cannot be changed' });
+    return null;
+  }
+  return category;
+};
+
+app.get('/api/categories', authMiddleware, async (req, res) => {
   try {
-    await ensureCategories();
-    const categories = await prisma.foodCategory.findMany({ orderBy: { name: 'asc' } });
+    const user = req.user;
+    const categories = await prisma.foodCategory.findMany({
+      where: usableCategories(user.id),
+      include: { _count: { select: { items: { where: { ownerId: user.id } } } } },
+      orderBy: { name: 'asc' },
+    });
     res.json(categories);
   } catch (err) {
     console.error('Error fetching categories:', err);
@@ -212,6 +1427,82 @@ app.get('/api/categories', async (_req, res) => {
   }
 });
 
+app.post('/api/categories', authMiddleware, async (req, res) => {
+  if (!req.body.name) return res.status(400).json({ error: 'name is required' });
+  const parsed = parseCategory(req.body);
+  if (parsed.error) return res.status(400).json({ error: parsed.error });
+  try {
+    const user = req.user;
+    if (await categoryNameTaken(parsed.data.name, user.id)) {
+      return res.status(409).json({ error: 'Category already exists' });
+    }
+    const category = await prisma.foodCategory.create({ data: { ...parsed.data, ownerId: user.id } });
+    res.status(201).json(category);
+  } catch (err) {
+    console.error('Error creating category:', err);
+    res.status(500).json({ error: 'Failed to create category' });
+  }
+});
+
+app.patch('/api/categories/:id', authMiddleware, async (req, res) => {
+  const parsed = parseCategory(req.body);
+  if (parsed.error) return res.status(400).json({ error: parsed.error });
+  try {
+    const category = await findOwnCategory(req, res);
+    if (!category) return;
+    if (parsed.data.name && (await categoryNameTaken(parsed.data.name, req.user.id, category.id))) {
+      return res.status(409).json({ error: 'Category already exists' });
+    }
+    const updated = await prisma.foodCategory.update({ where: { id: category.id }, data: parsed.data });
+    res.json(updated);
+  } catch (err) {
+    console.error('Error updating category:', err);
+    res.status(500).json({ error: 'Failed to update category' });
+  }
+});
+
+// Fold one of the caller's categories into another one: its items move over, then it is removed
+app.post('/api/categories/:id/merge', authMiddleware, async (req, res) => {
+  const { targetId } = req.body;
+  if (!targetId) return res.status(400).json({ error: 'targetId required' });
+  try {
+    const category = await findOwnCategory(req, res);
+    if (!category) return;
+    const target = await findUsableCategory(targetId, req.user.id);
+    if (!target || target.id === category.id) return res.status(400).json({ error: 'invalid target category' });
+    await prisma.$transaction([
+      prisma.foodItem.updateMany({ where: { categoryId: category.id }, data: { categoryId: target.id } }),
+      prisma.foodCategory.delete({ where: { id: category.id } }),
+    ]);
+    res.json(target);
+  } catch (err) {
+    console.error('Error merging categories:', err);
+    res.status(500).json({ error: 'Failed to merge categories' });
+  }
+});
+
+// Delete one of the caller's categories; its items move to ?reassignTo or become uncategorized
+app.delete('/api/categories/:id', authMiddleware, async (req, res) => {
+  try {
+    const category = await findOwnCategory(req, res);
+    if (!category) return;
+    let reassignTo = null;
+    if (req.query.reassignTo) {
+      const target = await findUsableCategory(req.query.reassignTo, req.user.id);
+      if (!target || target.id === category.id) return res.status(400).json({ error: 'invalid target category' });
+      reassignTo = target.id;
+    }
+    await prisma.$transaction([
+      prisma.foodItem.updateMany({ where: { categoryId: category.id }, data: { categoryId: reassignTo } }),
+      prisma.foodCategory.delete({ where: { id: category.id } }),
+    ]);
+    res.status(204).end();
+  } catch (err) {
+    console.error('Error deleting category:', err);
+    res.status(500).json({ error: 'Failed to delete category' });
+  }
+});
+
 // User search (existing accounts only)
 app.get('/api/users/search', authMiddleware, async (req, res) => {
   const q = String(req.query.q || '').trim();
@@ -227,6 +1518,7 @@ app.get('/api/users/search', authMiddleware, async (req, res) => {
             ],
           },
           { id: { not: req.user.id } },
+          { isSystem: false },
         ],
       },
       select: { id: true, name: true, email: true },
@@ -235,88 +1527,515 @@ app.get('/api/users/search', authMiddleware, async (req, res) => {
     });
     res.json(users);
   } catch (err) {
-    console.error('Error searching users:', err);
-    res.status(500).json({ error: 'Failed to search users' });
+    console.error('Error searching users:', err);
+    res.status(500).json({ error: 'Failed to search users' });
+  }
+});
+
+// Households: a user belongs to at most one. Admins manage members and their permissions;
+// anyone may leave, taking the items they added out of the shared fridge.
+const HOUSEHOLD_PERMISSIONS = ['isAdmin', 'canShare', 'canManageClaims'];
+
+const findHousehold = (id) =>
+  prisma.household.findUnique({
+    where: { id },
+    include: {
+      members: { include: { user: { select: { id: true, name: true, email: true } } }, orderBy: { createdAt: 'asc' } },
+    },
+  });
+
+// The caller's membership, answering 404 when they have no household and 403 when adminOnly fails
+const findOwnMembership = async (req, res, adminOnly = false) => {
+  const member = await prisma.householdMember.findUnique({ where: { userId: req.user.id } });
+  if (!member) {
+    res.status(404).json({ error: 'You are not in a household' });
+    return null;
+  }
+  if (adminOnly && !member.isAdmin) {
+    res.status(403).json({ error: 'Only household admins can do this' });
+    return null;
+  }
+  return member;
+};
+
+app.get('/api/household', authMiddleware, async (req, res) => {
+  try {
+    const member = await prisma.householdMember.findUnique({ where: { userId: req.user.id } });
+    res.json(member ? await findHousehold(member.householdId) : null);
+  } catch (err) {
+    console.error('Error fetching household:', err);
+    res.status(500).json({ error: 'Failed to fetch household' });
+  }
+});
+
+app.post('/api/household', authMiddleware, async (req, res) => {
+  const name = String(req.body.name || '').trim();
+  if (!name) return res.status(400).json({ error: 'name is required' });
+  try {
+    const user = req.user;
+    if (await prisma.householdMember.findUnique({ where: { userId: user.id } })) {
+      return res.status(409).json({ error: 'You are already in a household' });
+    }
+    const household = await prisma.household.create({
+      data: { name, members: { create: { userId: user.id, isAdmin: true, canShare: true, canManageClaims: true } } },
+    });
+    res.status(201).json(await findHousehold(household.id));
+  } catch (err) {
+    console.error('Error creating household:', err);
+    res.status(500).json({ error: 'Failed to create household' });
+  }
+});
+
+app.patch('/api/household', authMiddleware, async (req, res) => {
+  const name = String(req.body.name || '').trim();
+  if (!name) return res.status(400).json({ error: 'name is required' });
+  try {
+    const member = await findOwnMembership(req, res, true);
+    if (!member) return;
+    await prisma.household.update({ where: { id: member.householdId }, data: { name } });
+    res.json(await findHousehold(member.householdId));
+  } catch (err) {
+    console.error('Error renaming household:', err);
+    res.status(500).json({ error: 'Failed to update household' });
+  }
+});
+
+app.post('/api/household/members', authMiddleware, async (req, res) => {
+  const userId = Number(req.body.userId);
+  if (!userId) return res.status(400).json({ error: 'userId required' });
+  try {
+    const member = await findOwnMembership(req, res, true);
+    if (!member) return;
+    const target = await prisma.user.findUnique({ where: { id: userId }, include: { household: true } });
+    if (!target || target.isSystem) return res.status(404).json({ error: 'user not found' });
+    if (target.household) return res.status(409).json({ error: 'User is already in a household' });
+    await prisma.householdMember.create({ data: { householdId: member.householdId, userId } });
+    const household = await findHousehold(member.householdId);
+    res.status(201).json(household);
+    sendNotification(notifications.notify(userId, {
+      type: 'HOUSEHOLD_MEMBER_ADDED',
+      title: `${req.user.name} te-a adăugat în gospodăria ${household.name}`,
+      body: 'Vezi frigiderul comun în lista de produse.',
+    }));
+  } catch (err) {
+    console.error('Error adding household member:', err);
+    res.status(500).json({ error: 'Failed to add household member' });
+  }
+});
+
+app.patch('/api/household/members/:userId', authMiddleware, async (req, res) => {
+  const userId = Number(req.params.userId);
+  const data = {};
+  for (const field of HOUSEHOLD_PERMISSIONS) {
+    if (req.body[field] === undefined) continue;
+    if (typeof req.body[field] !== 'boolean') return res.status(400).json({ error: `${field} must be a boolean` });
+    data[field] = req.body[field];
+  }
+  try {
+    const member = await findOwnMembership(req, res, true);
+    if (!member) return;
+    const target = await prisma.householdMember.findUnique({ where: { userId } });
+    if (!target || target.householdId !== member.householdId) return res.status(404).json({ error: 'member not found' });
+    if (data.isAdmin === false && target.isAdmin) {
+      const admins = await prisma.householdMember.count({ where: { householdId: member.householdId, isAdmin: true } });
+      if (admins === 1) return res.status(409).json({ error: 'The household needs at least one admin' });
+    }
+    await prisma.householdMember.update({ where: { userId }, data });
+    res.json(await findHousehold(member.householdId));
+  } catch (err) {
+    console.error('Error updating household member:', err);
+    res.status(500).json({ error: 'Failed to update household member' });
+  }
+});
+
+// Remove a member (admins) or leave (anyone); the last one out closes the household
+app.delete('/api/household/members/:userId', authMiddleware, async (req, res) => {
+  const userId = Number(req.params.userId);
+  try {
+    const member = await findOwnMembership(req, res, userId !== req.user.id);
+    if (!member) return;
+    const target = await prisma.householdMember.findUnique({ where: { userId } });
+    if (!target || target.householdId !== member.householdId) return res.status(404).json({ error: 'member not found' });
+    const others = await prisma.householdMember.findMany({
+      where: { householdId: member.householdId, userId: { not: userId } },
+    });
+    if (target.isAdmin && others.length > 0 && !others.some((m) => m.isAdmin)) {
+      return res.status(409).json({ error: 'Make another member admin first' });
+    }
+    await prisma.$transaction([
+      prisma.foodItem.updateMany({
+        where: { householdId: member.householdId, ownerId: userId },
+        data: { householdId: null },
+      }),
+      prisma.householdMember.delete({ where: { userId } }),
+      ...(others.length === 0 ? [prisma.household.delete({ where: { id: member.householdId } })] : []),
+    ]);
+    res.status(204).end();
+  } catch (err) {
+    console.error('Error removing household member:', err);
+    res.status(500).json({ error: 'Failed to remove household member' });
+  }
+});
+
+// Groups
+app.get('/api/groups', authMiddleware, async (req, res) => {
+  try {
+    const user = req.user;
+    const groups = await prisma.friendGroup.findMany({
+      where: {
+        OR: [
+          { ownerId: user.id },
+          { members: { some: { userId: user.id } } },
+        ],
+      },
+      include: {
+        members: { include: { user: USER_SUMMARY } },
+        owner: USER_SUMMARY,
+        reads: { where: { userId: user.id } },
+      },
+      orderBy: { createdAt: 'desc' },
+    });
+    const withUnread = await Promise.all(groups.map(async ({ reads, ...group }) => ({
+      ...group,
+      unreadCount: await prisma.groupMessage.count({
+        where: {
+          groupId: group.id,
+          authorId: { not: user.id },
+          deletedAt: null,
+          ...(reads[0] ? { id: { gt: reads[0].lastReadMessageId } } : {}),
+        },
+      }),
+    })));
+    res.json(withUnread);
+  } catch (err) {
+    console.error('Error fetching groups:', err);
+    res.status(500).json({ error: 'Failed to fetch groups' });
+  }
+});
+
+app.post('/api/groups', authMiddleware, async (req, res) => {
+  const { name } = req.body;
+  if (!name) return res.status(400).json({ error: 'name required' });
+  try {
+    const user = req.user;
+    const group = await prisma.friendGroup.create({ data: { name, ownerId: user.id } });
+    res.status(201).json(group);
+  } catch (err) {
+    console.error('Error creating group:', err);
+    res.status(500).json({ error: 'Failed to create group' });
+  }
+});
+
+app.post('/api/groups/:id/members', authMiddleware, async (req, res) => {
+  const { userId, tag } = req.body;
+  const groupId = Number(req.params.id);
+  if (!userId) return res.status(400).json({ error: 'userId required' });
+  try {
+    const access = await getGroupAccess(groupId, req.user.id);
+    if (!access || !access.isMember) return res.status(404).json({ error: 'group not found' });
+    if (!access.isAdmin) return res.status(403).json({ error: 'Only group admins can add members' });
+
+    const friend = await prisma.user.findUnique({ where: { id: Number(userId) } });
+    if (!friend || friend.isSystem) return res.status(404).json({ error: 'user not found' });
+    if (friend.id === access.group.ownerId) return res.status(409).json({ error: 'User already in group' });
+
+    const existingMember = await prisma.groupMember.findFirst({
+      where: { groupId, userId: friend.id },
+      include: { user: USER_SUMMARY },
+    });
+    if (existingMember) return res.status(409).json({ error: 'User already in group' });
+
+    const member = await prisma.groupMember.create({
+      data: { groupId, userId: friend.id, tag: tag || null },
+      include: { user: USER_SUMMARY },
+    });
+    res.status(201).json(member);
+  } catch (err) {
+    console.error('Error adding member:', err);
+    res.status(500).json({ error: 'Failed to add member' });
+  }
+});
+
+// Create an invite link token (owner or admin)
+app.post('/api/groups/:id/invites', authMiddleware, async (req, res) => {
+  const id = Number(req.params.id);
+  const hours = Number(req.body.expiresInHours || 72);
+  if (!Number.isFinite(hours) || hours < 1 || hours > 720) {
+    return res.status(400).json({ error: 'expiresInHours must be between 1 and 720' });
+  }
+  try {
+    const access = await getGroupAccess(id, req.user.id);
+    if (!access || !access.isMember) return res.status(404).json({ error: 'group not found' });
+    if (!access.isAdmin) return res.status(403).json({ error: 'Only group admins can invite' });
+    const invite = await prisma.groupInvite.create({
+      data: {
+        groupId: id,
+        createdById: req.user.id,
+        singleUse: Boolean(req.body.singleUse),
+        expiresAt: new Date(Date.now() + hours * 60 * 60 * 1000),
+      },
+    });
+    res.status(201).json({ ...invite, token: signInviteToken(invite) });
+  } catch (err) {
+    console.error('Error creating invite:', err);
+    res.status(500).json({ error: 'Failed to create invite' });
+  }
+});
+
+// List active invites (owner or admin)
+app.get('/api/groups/:id/invites', authMiddleware, async (req, res) => {
+  const id = Number(req.params.id);
+  try {
+    const access = await getGroupAccess(id, req.user.id);
+    if (!access || !access.isMember) return res.status(404).json({ error: 'group not found' });
+    if (!access.isAdmin) return res.status(403).json({ error: 'Not allowed' });
+    const invites = await prisma.groupInvite.findMany({
+      where: { groupId: id, revokedAt: null, expiresAt: { gt: new Date() } },
+      include: { createdBy: { select: { id: true, name: true } } },
+      orderBy: { createdAt: 'desc' },
+    });
+    res.json(invites.filter((i) => !(i.singleUse && i.uses > 0)));
+  } catch (err) {
+    console.error('Error fetching invites:', err);
+    res.status(500).json({ error: 'Failed to fetch invites' });
+  }
+});
+
+// Revoke an invite (owner or admin)
+app.delete('/api/groups/:id/invites/:inviteId', authMiddleware, async (req, res) => {
+  const id = Number(req.params.id);
+  const inviteId = Number(req.params.inviteId);
+  try {
+    const access = await getGroupAccess(id, req.user.id);
+    if (!access || !access.isMember) return res.status(404).json({ error: 'group not found' });
+    if (!access.isAdmin) return res.status(403).json({ error: 'Not allowed' });
+    const { count } = await prisma.groupInvite.updateMany({
+      where: { id: inviteId, groupId: id, revokedAt: null },
+      data: { revokedAt: new Date() },
+    });
+    if (count === 0) return res.status(404).json({ error: 'invite not found' });
+    res.status(204).end();
+  } catch (err) {
+    console.error('Error revoking invite:', err);
+    res.status(500).json({ error: 'Failed to revoke invite' });
+  }
+});
+
+// Join a group through an invite token
+app.post('/api/groups/join/:token', authMiddleware, async (req, res) => {
+  let payload;
+  try {
+    payload = jwt.verify(req.params.token, JWT_SECRET);
+  } catch (err) {
+    return res.status(410).json({ error: 'Invite expired or invalid' });
+  }
+  if (payload.type !== 'invite') return res.status(410).json({ error: 'Invite expired or invalid' });
+  try {
+    const user = req.user;
+    const invite = await prisma.groupInvite.findUnique({ where: { id: payload.inviteId } });
+    if (!invite || invite.revokedAt || invite.expiresAt < new Date()) {
+      return res.status(410).json({ error: 'Invite expired or invalid' });
+    }
+    const access = await getGroupAccess(invite.groupId, user.id);
+    if (!access) return res.status(410).json({ error: 'Invite expired or invalid' });
+    if (access.isMember) return res.json(access.group);
+
+    const used = await prisma.$transaction(async (tx) => {
+      // Single-use invites are consumed atomically so two users cannot both redeem one
+      const { count } = await tx.groupInvite.updateMany({
+        where: { id: invite.id, ...(invite.singleUse ? { uses: 0 } : {}) },
+        data: { uses: { increment: 1 } },
+      });
+      if (count === 0) return false;
+      await tx.groupMember.create({ data: { groupId: invite.groupId, userId: user.id } });
+      return true;
+    });
+    if (!used) return res.status(410).json({ error: 'Invite already used' });
+    res.status(201).json(access.group);
+  } catch (err) {
+    console.error('Error joining group:', err);
+    res.status(500).json({ error: 'Failed to join group' });
+  }
+});
+
+// Rename a group (owner or admin)
+app.patch('/api/groups/:id', authMiddleware, async (req, res) => {
+  const id = Number(req.params.id);
+  const name = String(req.body.name || '').trim();
+  if (!name) return res.status(400).json({ error: 'name required' });
+  try {
+    const access = await getGroupAccess(id, req.user.id);
+    if (!access || !access.isMember) return res.status(404).json({ error: 'group not found' });
+    if (!access.isAdmin) return res.status(403).json({ error: 'Not allowed' });
+    const group = await prisma.friendGroup.update({ where: { id }, data: { name } });
+    res.json(group);
+  } catch (err) {
+    console.error('Error renaming group:', err);
+    res.status(500).json({ error: 'Failed to rename group' });
+  }
+});
+
+// Delete a group with its members, shares and messages (owner-only)
+app.delete('/api/groups/:id', authMiddleware, async (req, res) => {
+  const id = Number(req.params.id);
+  try {
+    const access = await getGroupAccess(id, req.user.id);
+    if (!access || !access.isMember) return res.status(404).json({ error: 'group not found' });
+    if (!access.isOwner) return res.status(403).json({ error: 'Only the owner can delete the group' });
+    await prisma.$transaction([
+      prisma.groupMember.deleteMany({ where: { groupId: id } }),
+      prisma.groupShare.deleteMany({ where: { groupId: id } }),
+      prisma.groupMessage.deleteMany({ where: { groupId: id } }),
+      prisma.groupInvite.deleteMany({ where: { groupId: id } }),
+      prisma.groupRead.deleteMany({ where: { groupId: id } }),
+      prisma.friendGroup.delete({ where: { id } }),
+    ]);
+    res.status(204).end();
+    realtime.disconnect(id);
+  } catch (err) {
+    console.error('Error deleting group:', err);
+    res.status(500).json({ error: 'Failed to delete group' });
   }
 });
 
-// Groups
-app.get('/api/groups', authMiddleware, async (req, res) => {
+// Change a member's role (owner-only)
+app.patch('/api/groups/:id/members/:userId', authMiddleware, async (req, res) => {
+  const id = Number(req.params.id);
+  const userId = Number(req.params.userId);
+  const { role } = req.body;
+  if (!['MEMBER', 'ADMIN'].includes(role)) return res.status(400).json({ error: 'role must be MEMBER or ADMIN' });
   try {
-    const user = req.user;
-    const groups = await prisma.friendGroup.findMany({
-      where: {
-        OR: [
-          { ownerId: user.id },
-          { members: { some: { userId: user.id } } },
-        ],
-      },
-      include: { members: { include: { user: true } }, owner: true },
-      orderBy: { createdAt: 'desc' },
+    const access = await getGroupAccess(id, req.user.id);
+    if (!access || !access.isMember) return res.status(404).json({ error: 'group not found' });
+    if (!access.isOwner) return res.status(403).json({ error: 'Only the owner can change roles' });
+    const target = access.group.members.find((m) => m.userId === userId);
+    if (!target) return res.status(404).json({ error: 'member not found' });
+    const member = await prisma.groupMember.update({
+      where: { id: target.id },
+      data: { role },
+      include: { user: USER_SUMMARY },
     });
-    res.json(groups);
+    res.json(member);
   } catch (err) {
-    console.error('Error fetching groups:', err);
-    res.status(500).json({ error: 'Failed to fetch groups' });
+    console.error('Error changing member role:', err);
+    res.status(500).json({ error: 'Failed to change role' });
   }
 });
 
-app.post('/api/groups', authMiddleware, async (req, res) => {
-  const { name } = req.body;
-  if (!name) return res.status(400).json({ error: 'name required' });
+// Remove a member (owner removes anyone, admins remove plain members)
+app.delete('/api/groups/:id/members/:userId', authMiddleware, async (req, res) => {
+  const id = Number(req.params.id);
+  const userId = Number(req.params.userId);
   try {
-    const user = req.user;
-    const group = await prisma.friendGroup.create({ data: { name, ownerId: user.id } });
-    res.status(201).json(group);
+    const access = await getGroupAccess(id, req.user.id);
+    if (!access || !access.isMember) return res.status(404).json({ error: 'group not found' });
+    const target = access.group.members.find((m) => m.userId === userId);
+    if (!target) return res.status(404).json({ error: 'member not found' });
+    const allowed = access.isOwner || (access.isAdmin && target.role === 'MEMBER');
+    if (!allowed) return res.status(403).json({ error: 'Not allowed' });
+    await prisma.groupMember.delete({ where: { id: target.id } });
+    res.status(204).end();
+    realtime.disconnect(id, userId);
   } catch (err) {
-    console.error('Error creating group:', err);
-    res.status(500).json({ error: 'Failed to create group' });
+    console.error('Error removing member:', err);
+    res.status(500).json({ error: 'Failed to remove member' });
   }
 });
 
-app.post('/api/groups/:id/members', authMiddleware, async (req, res) => {
-  const { userId, tag } = req.body;
-  const groupId = Number(req.params.id);
-  if (!userId) return res.status(400).json({ error: 'userId required' });
+// Leave a group (the owner must transfer ownership first)
+app.post('/api/groups/:id/leave', authMiddleware, async (req, res) => {
+  const id = Number(req.params.id);
   try {
-    const owner = req.user;
-    const group = await prisma.friendGroup.findFirst({ where: { id: groupId, ownerId: owner.id } });
-    if (!group) return res.status(404).json({ error: 'group not found' });
-
-    const friend = await prisma.user.findUnique({ where: { id: Number(userId) } });
-    if (!friend) return res.status(404).json({ error: 'user not found' });
+    const access = await getGroupAccess(id, req.user.id);
+    if (!access || !access.isMember) return res.status(404).json({ error: 'group not found' });
+    if (access.isOwner) {
+      return res.status(409).json({ error: 'Transfer ownership before leaving the group' });
+    }
+    await prisma.groupMember.delete({ where: { id: access.membership.id } });
+    res.status(204).end();
+    realtime.disconnect(id, req.user.id);
+  } catch (err) {
+    console.error('Error leaving group:', err);
+    res.status(500).json({ error: 'Failed to leave group' });
+  }
+});
 
-    const existingMember = await prisma.groupMember.findFirst({
-      where: { groupId, userId: friend.id },
-      include: { user: true },
-    });
-    if (existingMember) return res.status(409).json({ error: 'User already in group' });
+// Hand ownership to an existing member; the previous owner stays on as admin
+app.post('/api/groups/:id/transfer', authMiddleware, async (req, res) => {
+  const id = Number(req.params.id);
+  const userId = Number(req.body.userId);
+  if (!userId) return res.status(400).json({ error: 'userId required' });
+  try {
+    const access = await getGroupAccess(id, req.user.id);
+    if (!access || !access.isMember) return res.status(404).json({ error: 'group not found' });
+    if (!access.isOwner) return res.status(403).json({ error: 'Only the owner can transfer ownership' });
+    const target = access.group.members.find((m) => m.userId === userId);
+    if (!target) return res.status(404).json({ error: 'member not found' });
 
-    const member = await prisma.groupMember.create({
-      data: { groupId, userId: friend.id, tag: tag || null },
-      include: { user: true },
-    });
-    res.status(201).json(member);
+    const results = await prisma.$transaction([
+      prisma.groupMember.delete({ where: { id: target.id } }),
+      prisma.groupMember.create({ data: { groupId: id, userId: req.user.id, role: 'ADMIN' } }),
+      prisma.friendGroup.update({
+        where: { id },
+        data: { ownerId: userId },
+        include: { members: { include: { user: USER_SUMMARY } }, owner: USER_SUMMARY },
+      }),
+    ]);
+    res.json(results[2]);
   } catch (err) {
-    console.error('Error adding member:', err);
-    res.status(500).json({ error: 'Failed to add member' });
+    console.error('Error transferring group:', err);
+    res.status(500).json({ error: 'Failed to transfer ownership' });
   }
 });
 
 // Claims
 app.post('/api/claims', authMiddleware, async (req, res) => {
-  const { itemId } = req.body;
+  const { itemId, quantity, pickupSlotId } = req.body;
   if (!itemId) return res.status(400).json({ error: 'itemId required' });
   try {
     const user = req.user;
-    const item = await prisma.foodItem.findUnique({ where: { id: itemId } });
+    const item = await prisma.foodItem.findUnique({
+      where: { id: itemId },
+      include: { owner: { select: { id: true, name: true, isSystem: true } } },
+    });
     if (!item || item.status !== 'AVAILABLE') return res.status(400).json({ error: 'Item not available' });
-    if (item.ownerId === user.id) return res.status(400).json({ error: 'Cannot claim own item' });
+    if (await canActOnItem(item, user.id)) return res.status(400).json({ error: 'Cannot claim own item' });
+    // Nobody could accept the claim; anonymous donations are picked up at their location
+    if (item.owner.isSystem) return res.status(409).json({ error: 'Anonymous donations cannot be claimed' });
+    if (!(await canSeeItem(item, user.id))) return res.status(403).json({ error: 'Item is not shared with you' });
+    const openClaim = await prisma.claim.findFirst({
+      where: { itemId, claimerId: user.id, status: { in: ['PENDING', 'ACCEPTED'] } },
+    });
+    if (openClaim) return res.status(409).json({ error: 'You already claimed this item' });
+
+    // A claim without quantity asks for the whole item
+    let claimed = null;
+    if (quantity !== undefined && quantity !== null && quantity !== '') {
+      claimed = Number(quantity);
+      if (item.quantity === null) {
+        return res.status(400).json({ error: 'Item has no quantity to split' });
+      }
+      if (!Number.isFinite(claimed) || claimed <= 0 || claimed > item.quantity) {
+        return res.status(400).json({ error: `quantity must be between 0 and ${item.quantity}` });
+      }
+    }
+
+    const slot = pickupSlotId ? await findBookableSlot(itemId, pickupSlotId) : null;
+    if (pickupSlotId && !slot) return res.status(400).json({ error: 'pickup slot not available' });
+
     const claim = await prisma.claim.create({
-      data: { itemId, claimerId: user.id },
-      include: { claimer: true },
+      data: { itemId, claimerId: user.id, quantity: claimed, pickupSlotId: slot?.id ?? null },
+      include: { claimer: USER_SUMMARY, pickupSlot: true },
     });
     res.status(201).json(claim);
+    publishClaimUpdate(claim).catch((err) => console.error('Error publishing claim update:', err));
+    sendNotification(claimManagers(item).then((userIds) => notifications.notifyMany(userIds, {
+      type: 'CLAIM_CREATED',
+      title: `${user.name} vrea ${item.title}`,
+      body: claimed !== null ? `Cantitate cerută: ${claimed}` : null,
+      itemId: item.id,
+      claimId: claim.id,
+    })));
   } catch (err) {
     console.error('Error creating claim:', err);
     res.status(500).json({ error: 'Failed to create claim' });
@@ -326,9 +2045,14 @@ app.post('/api/claims', authMiddleware, async (req, res) => {
 app.get('/api/claims/for-owner', authMiddleware, async (req, res) => {
   try {
     const user = req.user;
+    // Household members allowed to handle claims see those on the household's items too
+    const member = await prisma.householdMember.findUnique({ where: { userId: user.id } });
+    const items = member?.canManageClaims
+      ? [{ ownerId: user.id }, { householdId: member.householdId }]
+      : [{ ownerId: user.id }];
     const claims = await prisma.claim.findMany({
-      where: { item: { ownerId: user.id } },
-      include: { claimer: true, item: true },
+      where: { item: { OR: items } },
+      include: { claimer: USER_SUMMARY, item: { include: { pickupSlots: upcomingSlots() } }, pickupSlot: true },
       orderBy: { createdAt: 'desc' },
     });
     res.json(claims);
@@ -343,10 +2067,10 @@ app.get('/api/claims/mine', authMiddleware, async (req, res) => {
     const user = req.user;
     const claims = await prisma.claim.findMany({
       where: { claimerId: user.id },
-      include: { item: true },
+      include: { item: { include: { pickupSlots: upcomingSlots() } }, pickupSlot: true },
       orderBy: { createdAt: 'desc' },
     });
-    res.json(claims);
+    res.json(claims.map(claimWithoutCoordinates));
   } catch (err) {
     console.error('Error fetching my claims:', err);
     res.status(500).json({ error: 'Failed to fetch claims' });
@@ -362,52 +2086,459 @@ app.post('/api/claims/:id/decision', authMiddleware, async (req, res) => {
   try {
     const user = req.user;
     const claim = await prisma.claim.findUnique({ where: { id }, include: { item: true } });
-    if (!claim || claim.item.ownerId !== user.id) {
+    if (!claim || !(await canActOnItem(claim.item, user.id, 'canManageClaims'))) {
       return res.status(403).json({ error: 'Not allowed' });
     }
-    const updated = await prisma.claim.update({
-      where: { id },
-      data: { status: decision, decidedAt: new Date() },
-      include: { item: true, claimer: true },
-    });
-    if (decision === 'ACCEPTED') {
-      await prisma.foodItem.update({ where: { id: claim.itemId }, data: { status: 'CLAIMED' } });
+    if (claim.status !== 'PENDING') return res.status(409).json({ error: 'Claim already decided' });
+    const { item } = claim;
+    if (decision === 'ACCEPTED' && item.status !== 'AVAILABLE') {
+      return res.status(409).json({ error: 'Item not available' });
     }
+    if (decision === 'ACCEPTED' && claim.quantity !== null && item.quantity !== null
+      && claim.quantity > item.quantity) {
+      return res.status(409).json({ error: 'Not enough quantity left' });
+    }
+    const partial = claim.quantity !== null && item.quantity !== null && claim.quantity < item.quantity;
+    const now = new Date();
+    let competitors = [];
+
+    const updated = await prisma.$transaction(async (tx) => {
+      // Guard against a concurrent decision on the same claim
+      // A full claim records the amount it takes, so cancelling it later gives exactly that back
+      const taken = decision === 'ACCEPTED' && !partial && item.quantity !== null ? { quantity: item.quantity } : {};
+      const { count } = await tx.claim.updateMany({
+        where: { id, status: 'PENDING' },
+        data: { status: decision, decidedAt: now, ...taken },
+      });
+      if (count === 0) return null;
+
+      if (decision === 'ACCEPTED') {
+        // A partial claim leaves the rest with the owner; a full one hands the item over
+        const remaining = partial ? item.quantity - claim.quantity : 0;
+        await tx.foodItem.update({
+          where: { id: claim.itemId },
+          data: partial ? { quantity: remaining } : { status: 'CLAIMED' },
+        });
+        // Competing claims that can no longer be satisfied are rejected
+        const competitorWhere = {
+          itemId: claim.itemId,
+          status: 'PENDING',
+          id: { not: id },
+          ...(partial ? { OR: [{ quantity: null }, { quantity: { gt: remaining } }] } : {}),
+        };
+        competitors = await tx.claim.findMany({ where: competitorWhere });
+        await tx.claim.updateMany({ where: competitorWhere, data: { status: 'REJECTED', decidedAt: now } });
+      }
+      return tx.claim.findUnique({ where: { id }, include: { item: true, claimer: USER_SUMMARY, pickupSlot: true } });
+    });
+    if (!updated) return res.status(409).json({ error: 'Claim already decided' });
     res.json(updated);
+    publishClaimUpdate(updated).catch((err) => console.error('Error publishing claim update:', err));
+    sendNotification(notifications.notify(updated.claimerId, {
+      type: decision === 'ACCEPTED' ? 'CLAIM_ACCEPTED' : 'CLAIM_REJECTED',
+      title: decision === 'ACCEPTED'
+        ? `Claim acceptat: ${item.title}`
+        : `Claim respins: ${item.title}`,
+      itemId: item.id,
+      claimId: id,
+    }));
+    competitors.forEach((c) => sendNotification(notifications.notify(c.claimerId, {
+      type: 'CLAIM_REJECTED',
+      title: `Claim respins: ${item.title}`,
+      body: 'Produsul a fost oferit altcuiva.',
+      itemId: item.id,
+      claimId: c.id,
+    })));
   } catch (err) {
     console.error('Error deciding claim:', err);
     res.status(500).json({ error: 'Failed to update claim' });
   }
 });
 
-// Social share stub
-app.post('/api/share', authMiddleware, async (req, res) => {
-  const { itemId, network } = req.body;
-  if (!itemId || !network) return res.status(400).json({ error: 'itemId and network required' });
-  const supported = ['instagram', 'facebook'];
-  if (!supported.includes(network)) {
-    return res.status(400).json({ error: 'network must be instagram or facebook' });
+// Once an item is CLAIMED no further claim can be accepted, so the latest accepted claim took it
+const findTakerClaim = (client, itemId) =>
+  client.claim.findFirst({
+    where: { itemId, status: { in: ['ACCEPTED', 'COMPLETED'] } },
+    orderBy: { decidedAt: 'desc' },
+  });
+
+// Cancel a pending or accepted claim (loaded with its item), giving an accepted portion back
+// to the owner; resolves to the updated claim, or null when its status changed meanwhile
+const cancelClaim = (claim) =>
+  prisma.$transaction(async (tx) => {
+    const taker = await findTakerClaim(tx, claim.itemId);
+    const { count } = await tx.claim.updateMany({
+      where: { id: claim.id, status: claim.status },
+      data: { status: 'CANCELLED' },
+    });
+    if (count === 0) return null;
+
+    const item = claim.status === 'ACCEPTED' && (await tx.foodItem.findUnique({ where: { id: claim.itemId } }));
+    if (item && !OUTCOMES.includes(item.status)) {
+      if (item.status === 'CLAIMED' && taker?.id === claim.id) {
+        await tx.foodItem.update({ where: { id: claim.itemId }, data: { status: 'AVAILABLE' } });
+      } else if (claim.quantity !== null) {
+        // When a later claim took the rest, the item's quantity is the taker's portion; only the
+        // returned portion goes back on offer
+        await tx.foodItem.update({
+          where: { id: claim.itemId },
+          data: item.status === 'CLAIMED'
+            ? { quantity: claim.quantity, status: 'AVAILABLE' }
+            : { quantity: { increment: claim.quantity } },
+        });
+      }
+    }
+    return tx.claim.findUnique({ where: { id: claim.id }, include: { item: true } });
+  });
+
+// Claimer withdraws a pending or accepted (not yet picked up) claim
+app.post('/api/claims/:id/cancel', authMiddleware, async (req, res) => {
+  const id = Number(req.params.id);
+  try {
+    const user = req.user;
+    const claim = await prisma.claim.findUnique({ where: { id }, include: { item: true } });
+    if (!claim || claim.claimerId !== user.id) return res.status(403).json({ error: 'Not allowed' });
+    if (!['PENDING', 'ACCEPTED'].includes(claim.status)) {
+      return res.status(409).json({ error: 'Claim can no longer be cancelled' });
+    }
+
+    const updated = await cancelClaim(claim);
+    if (!updated) return res.status(409).json({ error: 'Claim can no longer be cancelled' });
+    res.json(claimWithoutCoordinates(updated));
+    publishClaimUpdate(updated).catch((err) => console.error('Error publishing claim update:', err));
+    sendNotification(claimManagers(claim.item).then((userIds) => notifications.notifyMany(userIds, {
+      type: 'CLAIM_CANCELLED',
+      title: `${user.name} a anulat claim-ul pentru ${claim.item.title}`,
+      itemId: claim.itemId,
+      claimId: id,
+    })));
+  } catch (err) {
+    console.error('Error cancelling claim:', err);
+    res.status(500).json({ error: 'Failed to cancel claim' });
+  }
+});
+
+// Owner and claimer each confirm the pickup; the second confirmation completes the claim
+app.post('/api/claims/:id/pickup', authMiddleware, async (req, res) => {
+  const id = Number(req.params.id);
+  try {
+    const user = req.user;
+    const claim = await prisma.claim.findUnique({ where: { id }, include: { item: true } });
+    const isOwner = Boolean(claim) && (await canActOnItem(claim.item, user.id, 'canManageClaims'));
+    const isClaimer = claim?.claimerId === user.id;
+    if (!claim || (!isOwner && !isClaimer)) return res.status(403).json({ error: 'Not allowed' });
+    if (claim.status !== 'ACCEPTED') return res.status(409).json({ error: 'Claim is not accepted' });
+
+    const now = new Date();
+    const data = isOwner ? { ownerConfirmedAt: now } : { claimerConfirmedAt: now };
+    const ownerConfirmed = isOwner || claim.ownerConfirmedAt;
+    const claimerConfirmed = isClaimer || claim.claimerConfirmedAt;
+    const completed = ownerConfirmed && claimerConfirmed;
+    if (completed) Object.assign(data, { status: 'COMPLETED', completedAt: now });
+
+    const taker = completed && claim.item.status === 'CLAIMED' ? await findTakerClaim(prisma, claim.itemId) : null;
+    const ops = [];
+    // The handoff of a whole item closes its lifecycle as donated
+    if (taker?.id === id) {
+      ops.push(prisma.foodItem.update({
+        where: { id: claim.itemId },
+        data: { status: 'DONATED', closedAt: now },
+      }));
+    }
+    ops.push(prisma.claim.update({ where: { id }, data, include: { item: true, claimer: USER_SUMMARY } }));
+    const results = await prisma.$transaction(ops);
+    const updated = results[results.length - 1];
+    res.json(claimWithoutCoordinates(updated));
+    publishClaimUpdate(updated).catch((err) => console.error('Error publishing claim update:', err));
+    const recipients = isOwner ? Promise.resolve([claim.claimerId]) : claimManagers(claim.item);
+    sendNotification(recipients.then((userIds) => notifications.notifyMany(userIds, {
+      type: 'PICKUP_CONFIRMED',
+      title: completed
+        ? `Predare încheiată: ${claim.item.title}`
+        : `${user.name} a confirmat predarea pentru ${claim.item.title}`,
+      itemId: claim.itemId,
+      claimId: id,
+    })));
+  } catch (err) {
+    console.error('Error confirming pickup:', err);
+    res.status(500).json({ error: 'Failed to confirm pickup' });
   }
-  const shareUrl = `https://example.com/share/${network}/item/${itemId}`;
-  res.json({ shareUrl, note: 'Stubbed share link (no real integration).' });
 });
 
-// Public endpoint: available items to claim
-app.get('/api/items/available', authMiddleware, async (req, res) => {
+// Either side books or moves the pickup to another of the item's windows
+app.put('/api/claims/:id/slot', authMiddleware, async (req, res) => {
+  const id = Number(req.params.id);
+  const { slotId } = req.body;
+  if (!slotId) return res.status(400).json({ error: 'slotId required' });
   try {
     const user = req.user;
-    const items = await prisma.foodItem.findMany({
-      where: { status: 'AVAILABLE', ownerId: { not: user.id } },
-      include: { owner: true, category: true },
-      orderBy: { createdAt: 'desc' },
+    const claim = await prisma.claim.findUnique({ where: { id }, include: { item: true } });
+    const isOwner = Boolean(claim) && (await canActOnItem(claim.item, user.id, 'canManageClaims'));
+    if (!claim || (!isOwner && claim.claimerId !== user.id)) return res.status(403).json({ error: 'Not allowed' });
+    if (!['PENDING', 'ACCEPTED'].includes(claim.status)) {
+      return res.status(409).json({ error: 'Claim can no longer be rescheduled' });
+    }
+    const slot = await findBookableSlot(claim.itemId, slotId);
+    if (!slot) return res.status(400).json({ error: 'pickup slot not available' });
+
+    const updated = await prisma.claim.update({
+      where: { id },
+      data: { pickupSlotId: slot.id, pickupReminderSentAt: null },
+      include: { item: true, claimer: USER_SUMMARY, pickupSlot: true },
     });
-    res.json(items);
+    res.json(claimWithoutCoordinates(updated));
+    publishClaimUpdate(updated).catch((err) => console.error('Error publishing claim update:', err));
+    const recipients = isOwner ? Promise.resolve([claim.claimerId]) : claimManagers(claim.item);
+    sendNotification(recipients.then((userIds) => notifications.notifyMany(userIds, {
+      type: 'PICKUP_SCHEDULED',
+      title: `Ridicare programată: ${claim.item.title}`,
+      body: `${user.name} a ales intervalul ${slot.startsAt.toISOString().slice(0, 16).replace('T', ' ')} UTC.`,
+      itemId: claim.itemId,
+      claimId: id,
+    })));
+  } catch (err) {
+    console.error('Error rescheduling pickup:', err);
+    res.status(500).json({ error: 'Failed to reschedule pickup' });
+  }
+});
+
+// Private conversation between the claimer and the item owner
+const findClaimForParticipant = async (id, userId) => {
+  const claim = await prisma.claim.findUnique({ where: { id }, include: { item: true } });
+  if (!claim) return null;
+  if (claim.claimerId !== userId && !(await canActOnItem(claim.item, userId, 'canManageClaims'))) return null;
+  return claim;
+};
+
+app.get('/api/claims/:id/messages', authMiddleware, async (req, res) => {
+  const id = Number(req.params.id);
+  try {
+    const claim = await findClaimForParticipant(id, req.user.id);
+    if (!claim) return res.status(403).json({ error: 'Not allowed' });
+
+    // Newest first, paginated like group chat
+    const limit = Math.min(Math.max(Number(req.query.limit) || 50, 1), 100);
+    const cursor = req.query.cursor ? Number(req.query.cursor) : null;
+    const messages = await prisma.claimMessage.findMany({
+      where: { claimId: id, ...(cursor ? { id: { lt: cursor } } : {}) },
+      include: { author: { select: { id: true, name: true } } },
+      orderBy: { id: 'desc' },
+      take: limit + 1,
+    });
+    const hasMore = messages.length > limit;
+    const page = messages.slice(0, limit);
+    res.json({
+      messages: page,
+      nextCursor: hasMore ? page[page.length - 1].id : null,
+    });
+  } catch (err) {
+    console.error('Error fetching claim messages:', err);
+    res.status(500).json({ error: 'Failed to fetch messages' });
+  }
+});
+
+app.post('/api/claims/:id/messages', authMiddleware, async (req, res) => {
+  const id = Number(req.params.id);
+  const { content } = req.body;
+  if (!content || !content.trim()) return res.status(400).json({ error: 'content required' });
+  try {
+    const user = req.user;
+    const claim = await findClaimForParticipant(id, user.id);
+    if (!claim) return res.status(403).json({ error: 'Not allowed' });
+
+    const message = await prisma.claimMessage.create({
+      data: { claimId: id, authorId: user.id, content: content.trim() },
+      include: { author: { select: { id: true, name: true } } },
+    });
+    res.status(201).json(message);
+    const recipientId = claim.claimerId === user.id ? claim.item.ownerId : claim.claimerId;
+    sendNotification(notifications.notifyClaimMessage(recipientId, claim, user));
+  } catch (err) {
+    console.error('Error posting claim message:', err);
+    res.status(500).json({ error: 'Failed to post message' });
+  }
+});
+
+// Calendar file for the agreed pickup window
+app.get('/api/claims/:id/pickup.ics', authMiddleware, async (req, res) => {
+  const id = Number(req.params.id);
+  try {
+    const user = req.user;
+    const claim = await prisma.claim.findUnique({
+      where: { id },
+      include: { item: { include: { owner: USER_SUMMARY } }, claimer: USER_SUMMARY, pickupSlot: true },
+    });
+    if (!claim || (claim.claimerId !== user.id && !(await canActOnItem(claim.item, user.id, 'canManageClaims')))) {
+      return res.status(403).json({ error: 'Not allowed' });
+    }
+    if (!claim.pickupSlot) return res.status(404).json({ error: 'No pickup slot booked' });
+    const ics = renderIcs({
+      uid: `claim-${claim.id}-slot-${claim.pickupSlot.id}@food-waste`,
+      summary: `Ridicare: ${claim.item.title}`,
+      description: `Predare între ${claim.item.owner.name} și ${claim.claimer.name}.`,
+      location: claim.item.locationLabel,
+      startsAt: claim.pickupSlot.startsAt,
+      endsAt: claim.pickupSlot.endsAt,
+    });
+    res.type('text/calendar; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="pickup-${claim.id}.ics"`);
+    res.send(ics);
+  } catch (err) {
+    console.error('Error exporting pickup:', err);
+    res.status(500).json({ error: 'Failed to export pickup' });
+  }
+});
+
+// Public share pages: the owner of a public item gets an unguessable /s/:slug link and the
+// share-intent URLs for each network; visits arriving through those links are counted per network
+
+const describeShare = async (req, share, item) => {
+  const url = `${publicBaseUrl(req)}/s/${share.slug}`;
+  const counts = await prisma.shareClick.groupBy({ by: ['network'], where: { shareId: share.id }, _count: true });
+  return {
+    ...share,
+    url,
+    links: shareIntentUrls(url, `${item.title} — disponibil gratuit`),
+    clicks: Object.fromEntries(counts.map((c) => [c.network.toLowerCase(), c._count])),
+  };
+};
+
+const findActiveShare = (itemId) => prisma.publicShare.findFirst({ where: { itemId, revokedAt: null } });
+
+app.get('/api/items/:id/public-share', authMiddleware, async (req, res) => {
+  const id = Number(req.params.id);
+  try {
+    const item = await findItemForAction(req, res, 'canShare');
+    if (!item) return;
+    const share = await findActiveShare(id);
+    res.json(share ? await describeShare(req, share, item) : null);
+  } catch (err) {
+    console.error('Error fetching public share:', err);
+    res.status(500).json({ error: 'Failed to fetch public share' });
+  }
+});
+
+// Create the item's public link, or return the active one
+app.post('/api/items/:id/public-share', authMiddleware, async (req, res) => {
+  const id = Number(req.params.id);
+  try {
+    const item = await findItemForAction(req, res, 'canShare');
+    if (!item) return;
+    if (item.visibility !== 'PUBLIC') return res.status(409).json({ error: 'Only public items can be shared' });
+    if (item.status !== 'AVAILABLE') return res.status(409).json({ error: 'Only available items can be shared' });
+    const existing = await findActiveShare(id);
+    const share = existing || (await prisma.publicShare.create({
+      data: { itemId: id, slug: crypto.randomBytes(12).toString('base64url') },
+    }));
+    res.status(existing ? 200 : 201).json(await describeShare(req, share, item));
+  } catch (err) {
+    console.error('Error creating public share:', err);
+    res.status(500).json({ error: 'Failed to create public share' });
+  }
+});
+
+// Revoke the item's public link; the page answers 410 from then on
+app.delete('/api/items/:id/public-share', authMiddleware, async (req, res) => {
+  const id = Number(req.params.id);
+  try {
+    const item = await findItemForAction(req, res, 'canShare');
+    if (!item) return;
+    await prisma.publicShare.updateMany({ where: { itemId: id, revokedAt: null }, data: { revokedAt: new Date() } });
+    res.status(204).end();
+  } catch (err) {
+    console.error('Error revoking public share:', err);
+    res.status(500).json({ error: 'Failed to revoke public share' });
+  }
+});
+
+// Server-rendered page behind a share link; items made non-public later are treated as gone
+app.get('/s/:slug', async (req, res) => {
+  try {
+    const share = await prisma.publicShare.findUnique({
+      where: { slug: req.params.slug },
+      include: { item: { include: { category: true, photos: ITEM_PHOTOS } } },
+    });
+    if (!share || share.revokedAt || share.item.visibility !== 'PUBLIC') {
+      return res.status(share ? 410 : 404).type('html').send(renderGonePage());
+    }
+    // Claimed, withdrawn or closed items are no longer on offer; visits to them are not counted
+    if (share.item.status !== 'AVAILABLE') {
+      return res.status(410).type('html').send(renderGonePage('Produsul nu mai este disponibil.'));
+    }
+    const network = SHARE_NETWORKS.includes(req.query.via) ? req.query.via.toUpperCase() : 'DIRECT';
+    if (!isCrawler(req.get('user-agent'))) {
+      await prisma.shareClick.create({ data: { shareId: share.id, network } });
+    }
+    const base = publicBaseUrl(req);
+    const photo = share.item.photos[0];
+    res.type('html').send(renderSharePage({
+      item: share.item,
+      url: `${base}/s/${share.slug}`,
+      imageUrl: photo ? `${base}/api/media/${photo.key}` : null,
+      appUrl: `${base}/`,
+    }));
+  } catch (err) {
+    console.error('Error rendering share page:', err);
+    res.status(500).type('text').send('Failed to load page');
+  }
+});
+
+// Public endpoint: available items to claim, optionally around ?lat&lng within ?radiusKm
+// and, with ?suitsMe=1, limited to items matching the caller's diet and allergies
+app.get('/api/items/available', authMiddleware, async (req, res) => {
+  const origin = parseOrigin(req.query);
+  if (origin?.error) return res.status(400).json({ error: origin.error });
+  const listQuery = parseItemListQuery(req.query, origin);
+  if (listQuery.error) return res.status(400).json({ error: listQuery.error });
+  try {
+    const user = req.user;
+    const suits = ['1', 'true'].includes(req.query.suitsMe) ? suitsWhere(await userTags(user.id)) : {};
+    // Items in the caller's own household fridge cannot be claimed by them either
+    const member = await prisma.householdMember.findUnique({ where: { userId: user.id } });
+    const notHousehold = member ? { OR: [{ householdId: null }, { householdId: { not: member.householdId } }] } : {};
+    const page = await listItems(
+      // Anonymous donations cannot be claimed; they are listed by /api/donations instead
+      {
+        status: 'AVAILABLE',
+        ownerId: { not: user.id },
+        owner: { isSystem: false },
+        AND: [visibleTo(user.id), notHousehold, suits],
+      },
+      listQuery,
+      { owner: USER_SUMMARY, category: true, tags: true, photos: ITEM_PHOTOS, pickupSlots: upcomingSlots() }
+    );
+    if (page.error) return res.status(400).json({ error: page.error });
+    res.json({ ...page, items: page.items.map(withoutCoordinates) });
   } catch (err) {
     console.error('Error fetching available items:', err);
     res.status(500).json({ error: 'Failed to fetch available items' });
   }
 });
 
+// Annotate items shared in a group with the members (other than the owner) they suit
+// and those whose allergies they conflict with
+const withGroupMatches = async (group, items) => {
+  const people = await prisma.user.findMany({
+    where: { id: { in: [group.ownerId, ...group.members.map((m) => m.userId)] } },
+    select: { id: true, name: true, dietTags: true },
+  });
+  return items.map((item) => {
+    const itemTags = item.tags.map((t) => t.tag);
+    const match = { suits: [], conflicts: [], unverified: [] };
+    people.filter((p) => p.id !== item.ownerId).forEach((p) => {
+      const result = matchTags(itemTags, p.dietTags.map((t) => t.tag));
+      if (result.suits) match.suits.push({ userId: p.id, name: p.name });
+      if (result.conflicts.length > 0) {
+        match.conflicts.push({ userId: p.id, name: p.name, allergens: result.conflicts });
+      }
+      if (result.unverified.length > 0) {
+        match.unverified.push({ userId: p.id, name: p.name, allergens: result.unverified });
+      }
+    });
+    return { ...item, match };
+  });
+};
+
 // Access a group if owner or member
 app.get('/api/groups/:id', authMiddleware, async (req, res) => {
   const id = Number(req.params.id);
@@ -415,7 +2546,7 @@ app.get('/api/groups/:id', authMiddleware, async (req, res) => {
     const user = req.user;
     const group = await prisma.friendGroup.findUnique({
       where: { id },
-      include: { members: { include: { user: true } }, owner: true },
+      include: { members: { include: { user: USER_SUMMARY } }, owner: USER_SUMMARY },
     });
     if (!group) return res.status(404).json({ error: 'group not found' });
     const isOwner = group.ownerId === user.id;
@@ -431,6 +2562,8 @@ app.get('/api/groups/:id', authMiddleware, async (req, res) => {
 // List items shared in a group
 app.get('/api/groups/:id/items', authMiddleware, async (req, res) => {
   const id = Number(req.params.id);
+  const listQuery = parseItemListQuery(req.query);
+  if (listQuery.error) return res.status(400).json({ error: listQuery.error });
   try {
     const user = req.user;
     const group = await prisma.friendGroup.findUnique({
@@ -442,20 +2575,33 @@ app.get('/api/groups/:id/items', authMiddleware, async (req, res) => {
     const isMember = group.members.some((m) => m.userId === user.id);
     if (!isOwner && !isMember) return res.status(403).json({ error: 'Not allowed' });
 
-    const shares = await prisma.groupShare.findMany({
-      where: { groupId: id },
-      include: {
-        item: { include: { owner: true, category: true } },
-      },
-      orderBy: { createdAt: 'desc' },
-    });
-    res.json(shares.map((s) => s.item));
+    // Private items stay hidden even if they were shared before being made private
+    const page = await listItems(
+      { shares: { some: { groupId: id } }, OR: [{ visibility: { not: 'PRIVATE' } }, { ownerId: user.id }] },
+      listQuery,
+      { owner: USER_SUMMARY, category: true, tags: true, photos: ITEM_PHOTOS }
+    );
+    res.json({ ...page, items: (await withGroupMatches(group, page.items)).map(withoutCoordinates) });
   } catch (err) {
     console.error('Error fetching group items:', err);
     res.status(500).json({ error: 'Failed to fetch group items' });
   }
 });
 
+// Live group updates (messages, shares, claim changes) as Server-Sent Events
+app.get('/api/groups/:id/events', streamAuthMiddleware, async (req, res) => {
+  const id = Number(req.params.id);
+  try {
+    const access = await getGroupAccess(id, req.user.id);
+    if (!access) return res.status(404).json({ error: 'group not found' });
+    if (!access.isMember) return res.status(403).json({ error: 'Not allowed' });
+    realtime.subscribe(id, req.user.id, req, res);
+  } catch (err) {
+    console.error('Error opening event stream:', err);
+    res.status(500).json({ error: 'Failed to open event stream' });
+  }
+});
+
 // Group chat: list messages
 app.get('/api/groups/:id/messages', authMiddleware, async (req, res) => {
   const id = Number(req.params.id);
@@ -470,13 +2616,21 @@ app.get('/api/groups/:id/messages', authMiddleware, async (req, res) => {
     const isMember = group.members.some((m) => m.userId === user.id);
     if (!isOwner && !isMember) return res.status(403).json({ error: 'Not allowed' });
 
+    // Newest first; pass the last id of a page as ?cursor= to load older messages
+    const limit = Math.min(Math.max(Number(req.query.limit) || 50, 1), 100);
+    const cursor = req.query.cursor ? Number(req.query.cursor) : null;
     const messages = await prisma.groupMessage.findMany({
-      where: { groupId: id },
-      include: { author: true },
-      orderBy: { createdAt: 'asc' },
-      take: 200,
+      where: { groupId: id, ...(cursor ? { id: { lt: cursor } } : {}) },
+      include: { author: USER_SUMMARY },
+      orderBy: { id: 'desc' },
+      take: limit + 1,
+    });
+    const hasMore = messages.length > limit;
+    const page = messages.slice(0, limit);
+    res.json({
+      messages: page,
+      nextCursor: hasMore ? page[page.length - 1].id : null,
     });
-    res.json(messages);
   } catch (err) {
     console.error('Error fetching messages:', err);
     res.status(500).json({ error: 'Failed to fetch messages' });
@@ -501,15 +2655,128 @@ app.post('/api/groups/:id/messages', authMiddleware, async (req, res) => {
 
     const message = await prisma.groupMessage.create({
       data: { groupId: id, authorId: user.id, content: content.trim() },
-      include: { author: true },
+      include: { author: USER_SUMMARY },
     });
     res.status(201).json(message);
+    realtime.publish(id, 'message', message);
+    sendNotification(notifications.notifyGroupMessage(groupAudience(group, user.id), group, user));
   } catch (err) {
     console.error('Error posting message:', err);
     res.status(500).json({ error: 'Failed to post message' });
   }
 });
 
+// Group chat: edit own message
+app.patch('/api/groups/:id/messages/:messageId', authMiddleware, async (req, res) => {
+  const id = Number(req.params.id);
+  const messageId = Number(req.params.messageId);
+  const { content } = req.body;
+  if (!content || !content.trim()) return res.status(400).json({ error: 'content required' });
+  try {
+    // Former members keep their old messages but can no longer change them
+    const access = await getGroupAccess(id, req.user.id);
+    if (!access || !access.isMember) return res.status(404).json({ error: 'group not found' });
+    const existing = await prisma.groupMessage.findFirst({ where: { id: messageId, groupId: id } });
+    if (!existing || existing.deletedAt) return res.status(404).json({ error: 'message not found' });
+    if (existing.authorId !== req.user.id) return res.status(403).json({ error: 'Not allowed' });
+
+    const message = await prisma.groupMessage.update({
+      where: { id: messageId },
+      data: { content: content.trim(), editedAt: new Date() },
+      include: { author: USER_SUMMARY },
+    });
+    res.json(message);
+    realtime.publish(id, 'message_update', message);
+  } catch (err) {
+    console.error('Error editing message:', err);
+    res.status(500).json({ error: 'Failed to edit message' });
+  }
+});
+
+// Group chat: delete a message (author, or group admin for moderation)
+app.delete('/api/groups/:id/messages/:messageId', authMiddleware, async (req, res) => {
+  const id = Number(req.params.id);
+  const messageId = Number(req.params.messageId);
+  try {
+    const access = await getGroupAccess(id, req.user.id);
+    if (!access || !access.isMember) return res.status(404).json({ error: 'group not found' });
+    const existing = await prisma.groupMessage.findFirst({ where: { id: messageId, groupId: id } });
+    if (!existing || existing.deletedAt) return res.status(404).json({ error: 'message not found' });
+    if (existing.authorId !== req.user.id && !access.isAdmin) {
+      return res.status(403).json({ error: 'Not allowed' });
+    }
+
+    // Soft delete keeps cursors and read positions pointing at a real row
+    const message = await prisma.groupMessage.update({
+      where: { id: messageId },
+      data: { content: '', deletedAt: new Date() },
+      include: { author: USER_SUMMARY },
+    });
+    res.json(message);
+    realtime.publish(id, 'message_update', message);
+  } catch (err) {
+    console.error('Error deleting message:', err);
+    res.status(500).json({ error: 'Failed to delete message' });
+  }
+});
+
+// Group chat: mark messages as read up to messageId (defaults to the newest)
+app.post('/api/groups/:id/read', authMiddleware, async (req, res) => {
+  const id = Number(req.params.id);
+  try {
+    const user = req.user;
+    const access = await getGroupAccess(id, user.id);
+    if (!access) return res.status(404).json({ error: 'group not found' });
+    if (!access.isMember) return res.status(403).json({ error: 'Not allowed' });
+
+    let messageId = Number(req.body.messageId) || null;
+    if (messageId) {
+      const message = await prisma.groupMessage.findFirst({ where: { id: messageId, groupId: id } });
+      if (!message) return res.status(404).json({ error: 'message not found' });
+    } else {
+      const latest = await prisma.groupMessage.findFirst({ where: { groupId: id }, orderBy: { id: 'desc' } });
+      if (!latest) return res.json({ groupId: id, userId: user.id, lastReadMessageId: null });
+      messageId = latest.id;
+    }
+
+    // Read positions only move forward
+    const current = await prisma.groupRead.findUnique({ where: { groupId_userId: { groupId: id, userId: user.id } } });
+    if (current && current.lastReadMessageId >= messageId) return res.json(current);
+    const read = await prisma.groupRead.upsert({
+      where: { groupId_userId: { groupId: id, userId: user.id } },
+      update: { lastReadMessageId: messageId },
+      create: { groupId: id, userId: user.id, lastReadMessageId: messageId },
+    });
+    res.json(read);
+    realtime.publish(id, 'read', {
+      userId: user.id,
+      lastReadMessageId: read.lastReadMessageId,
+      user: { id: user.id, name: user.name },
+    });
+  } catch (err) {
+    console.error('Error marking messages read:', err);
+    res.status(500).json({ error: 'Failed to mark messages read' });
+  }
+});
+
+// Group chat: how far each member has read
+app.get('/api/groups/:id/reads', authMiddleware, async (req, res) => {
+  const id = Number(req.params.id);
+  try {
+    const access = await getGroupAccess(id, req.user.id);
+    if (!access) return res.status(404).json({ error: 'group not found' });
+    if (!access.isMember) return res.status(403).json({ error: 'Not allowed' });
+    const reads = await prisma.groupRead.findMany({
+      where: { groupId: id },
+      include: { user: { select: { id: true, name: true } } },
+    });
+    res.json(reads);
+  } catch (err) {
+    console.error('Error fetching reads:', err);
+    res.status(500).json({ error: 'Failed to fetch reads' });
+  }
+});
+
 // Share an item to a group (owner-only, must belong to group via owner/membership)
 app.post('/api/groups/:id/share', authMiddleware, async (req, res) => {
   const id = Number(req.params.id);
@@ -527,23 +2794,86 @@ app.post('/api/groups/:id/share', authMiddleware, async (req, res) => {
     if (!isOwner && !isMember) return res.status(403).json({ error: 'Not allowed' });
 
     const item = await prisma.foodItem.findUnique({ where: { id: itemId } });
-    if (!item || item.ownerId !== user.id) {
-      return res.status(403).json({ error: 'You can share only your own items' });
+    if (!item || !(await canActOnItem(item, user.id, 'canShare'))) {
+      return res.status(403).json({ error: 'You can share only your own or household items' });
+    }
+    // Sharing a private item is taken as opening it up to the groups it is shared with
+    if (item.visibility === 'PRIVATE') {
+      await prisma.foodItem.update({ where: { id: itemId }, data: { visibility: 'GROUPS' } });
     }
 
-    await prisma.groupShare.upsert({
+    const share = await prisma.groupShare.upsert({
       where: { itemId_groupId: { itemId, groupId: id } },
       update: {},
       create: { itemId, groupId: id },
+      include: { item: { include: { owner: USER_SUMMARY, category: true, tags: true } } },
     });
 
+    const [sharedItem] = await withGroupMatches(group, [share.item]);
+
     res.status(201).json({ ok: true });
+    realtime.publish(id, 'share', withoutCoordinates(sharedItem));
+    sendNotification(notifications.notifyMany(groupAudience(group, user.id), {
+      type: 'ITEM_SHARED',
+      title: `${user.name} a trimis ${item.title} în ${group.name}`,
+      itemId: item.id,
+      groupId: id,
+    }));
   } catch (err) {
     console.error('Error sharing item:', err);
     res.status(500).json({ error: 'Failed to share item' });
   }
 });
 
+// Notifications inbox (newest first)
+app.get('/api/notifications', authMiddleware, async (req, res) => {
+  try {
+    const user = req.user;
+    const unreadOnly = req.query.unread === '1' || req.query.unread === 'true';
+    const [items, unreadCount] = await Promise.all([
+      prisma.notification.findMany({
+        where: { userId: user.id, ...(unreadOnly ? { readAt: null } : {}) },
+        orderBy: { createdAt: 'desc' },
+        take: 50,
+      }),
+      prisma.notification.count({ where: { userId: user.id, readAt: null } }),
+    ]);
+    res.json({ notifications: items, unreadCount });
+  } catch (err) {
+    console.error('Error fetching notifications:', err);
+    res.status(500).json({ error: 'Failed to fetch notifications' });
+  }
+});
+
+app.post('/api/notifications/read-all', authMiddleware, async (req, res) => {
+  try {
+    const { count } = await prisma.notification.updateMany({
+      where: { userId: req.user.id, readAt: null },
+      data: { readAt: new Date() },
+    });
+    res.json({ updated: count });
+  } catch (err) {
+    console.error('Error marking notifications read:', err);
+    res.status(500).json({ error: 'Failed to update notifications' });
+  }
+});
+
+app.post('/api/notifications/:id/read', authMiddleware, async (req, res) => {
+  const id = Number(req.params.id);
+  try {
+    const notification = await prisma.notification.findFirst({ where: { id, userId: req.user.id } });
+    if (!notification) return res.status(404).json({ error: 'notification not found' });
+    const updated = await prisma.notification.update({
+      where: { id },
+      data: { readAt: notification.readAt || new Date() },
+    });
+    res.json(updated);
+  } catch (err) {
+    console.error('Error marking notification read:', err);
+    res.status(500).json({ error: 'Failed to update notification' });
+  }
+});
+
 // SPA fallback for any non-API route (Express 5 compatible)
 app.use((req, res, next) => {
   if (req.path.startsWith('/api')) return next();
@@ -565,4 +2895,7 @@ process.on('SIGTERM', shutdown);
 
 app.listen(PORT, () => {
   console.log(`Server running at http://localhost:${PORT}`);
+  notifications.startExpiryScanner(Number(process.env.EXPIRY_SCAN_MINUTES || 60) * 60 * 1000);
+  digest.startDigestScheduler();
+  pickupReminders.startPickupReminders();
 });
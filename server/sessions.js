@@ -0,0 +1,95 @@
+// Login sessions. Each login opens a server-side session and returns a short-lived access
+// token (JWT naming the session) plus an opaque refresh token, stored only as a hash. Every
+// refresh rotates the refresh token; presenting one that was already rotated out means it
+// leaked, so the whole session is revoked. Revoking a session also stops its access tokens,
+// since every request checks that the session is still open.
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const ACCESS_TOKEN_TTL = '15m';
+const REFRESH_TOKEN_DAYS = 30;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const newRefreshToken = () => crypto.randomBytes(32).toString('base64url');
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000);
+
+const createSessions = ({ prisma, secret }) => {
+  const signAccessToken = (session) =>
+    jwt.sign({ userId: session.userId, sessionId: session.id, type: 'access' }, secret, {
+      expiresIn: ACCESS_TOKEN_TTL,
+    });
+
+  const clientInfo = (req) => ({
+    userAgent: (req.get('user-agent') || '').slice(0, 200) || null,
+    ip: req.ip || null,
+  });
+
+  // Open a session for a user who just proved who they are
+  const issue = async (user, req) => {
+    const refreshToken = newRefreshToken();
+    const session = await prisma.session.create({
+      data: { userId: user.id, refreshHash: hashToken(refreshToken), expiresAt: refreshExpiry(), ...clientInfo(req) },
+    });
+    return { token: signAccessToken(session), refreshToken };
+  };
+
+  // Trade a refresh token for a new pair; null when it is unknown, expired or revoked
+  const refresh = async (refreshToken, req) => {
+    const hash = hashToken(String(refreshToken));
+    const session = await prisma.session.findUnique({ where: { refreshHash: hash } });
+    if (!session) {
+      const reused = await prisma.session.findUnique({ where: { previousHash: hash } });
+      if (reused && !reused.revokedAt) {
+        await prisma.session.update({ where: { id: reused.id }, data: { revokedAt: new Date() } });
+      }
+      return null;
+    }
+    if (session.revokedAt || session.expiresAt <= new Date()) return null;
+    const next = newRefreshToken();
+    // Matching on the old hash makes a concurrent refresh with the same token lose
+    const { count } = await prisma.session.updateMany({
+      where: { id: session.id, refreshHash: hash },
+      data: {
+        refreshHash: hashToken(next),
+        previousHash: hash,
+        lastUsedAt: new Date(),
+        expiresAt: refreshExpiry(),
+        ...clientInfo(req),
+      },
+    });
+    if (count === 0) return null;
+    return { token: signAccessToken(session), refreshToken: next };
+  };
+
+  // Resolve an access token to its open session (with the user); null when invalid
+  const authenticate = async (token) => {
+    let payload;
+    try {
+      payload = jwt.verify(token, secret);
+    } catch (err) {
+      return null;
+    }
+    if (payload.type !== 'access' || !payload.sessionId) return null;
+    const session = await prisma.session.findUnique({ where: { id: payload.sessionId }, include: { user: true } });
+    if (!session || session.revokedAt || session.expiresAt <= new Date() || session.userId !== payload.userId) {
+      return null;
+    }
+    return session;
+  };
+
+  const revoke = (userId, where = {}) =>
+    prisma.session.updateMany({ where: { userId, revokedAt: null, ...where }, data: { revokedAt: new Date() } });
+
+  const listActive = (userId) =>
+    prisma.session.findMany({
+      where: { userId, revokedAt: null, expiresAt: { gt: new Date() } },
+      select: { id: true, userAgent: true, ip: true, createdAt: true, lastUsedAt: true },
+      orderBy: { lastUsedAt: 'desc' },
+    });
+
+  return { issue, refresh, authenticate, revoke, listActive };
+};
+
+module.exports = { createSessions, hashToken };
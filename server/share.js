@@ -0,0 +1,89 @@
+// Public share pages for available items: server-rendered HTML carrying Open Graph and
+// Twitter card tags so link previews work, plus the share-intent URL of each network.
+// Share links carry ?via=<network> so visits can be counted per network.
+const SHARE_NETWORKS = ['facebook', 'x', 'whatsapp'];
+
+// Link-preview fetchers; their visits are not counted as clicks
+const CRAWLER_PATTERN = /facebookexternalhit|facebot|twitterbot|whatsapp|slackbot|telegrambot|discordbot|linkedinbot/i;
+
+const isCrawler = (userAgent) => CRAWLER_PATTERN.test(userAgent || '');
+
+const escapeHtml = (text) =>
+  String(text).replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+
+const shareIntentUrls = (url, text) => {
+  const via = (network) => encodeURIComponent(`${url}?via=${network}`);
+  return {
+    facebook: `https://www.facebook.com/sharer/sharer.php?u=${via('facebook')}`,
+    x: `https://x.com/intent/tweet?text=${encodeURIComponent(text)}&url=${via('x')}`,
+    whatsapp: `https://wa.me/?text=${encodeURIComponent(`${text} `)}${via('whatsapp')}`,
+  };
+};
+
+// "Lactate · expiră pe 20.10.2026 · Piața Romană"
+const describeItem = (item) =>
+  [
+    item.category?.name,
+    item.expiresAt && `expiră pe ${item.expiresAt.toLocaleDateString('ro-RO')}`,
+    item.locationLabel,
+  ]
+    .filter(Boolean)
+    .join(' · ');
+
+const renderSharePage = ({ item, url, imageUrl, appUrl }) => {
+  const title = `${item.title} — disponibil gratuit`;
+  const description = describeItem(item) || 'Produs oferit pe Food Waste Tracker';
+  const meta = [
+    ['og:type', 'website'],
+    ['og:site_name', 'Food Waste Tracker'],
+    ['og:title', title],
+    ['og:description', description],
+    ['og:url', url],
+    ['og:image', imageUrl],
+    ['twitter:card', imageUrl ? 'summary_large_image' : 'summary'],
+    ['twitter:title', title],
+    ['twitter:description', description],
+    ['twitter:image', imageUrl],
+  ]
+    .filter(([, content]) => content)
+    .map(([name, content]) => {
+      const attr = name.startsWith('og:') ? 'property' : 'name';
+      return `<meta ${attr}="${name}" content="${escapeHtml(content)}">`;
+    });
+  return `<!doctype html>
+<html lang="ro">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<meta name="description" content="${escapeHtml(description)}">
+${meta.join('\n')}
+<style>
+body { font-family: system-ui, sans-serif; background: #f3f8f5; color: #1b2a21; margin: 0; }
+main { max-width: 560px; margin: 40px auto; padding: 24px; background: #fff; border-radius: 12px; }
+img { width: 100%; border-radius: 8px; }
+.muted { color: #5b6b61; }
+a.button { display: inline-block; margin-top: 12px; padding: 10px 16px; border-radius: 8px; background: #1b6b44; color: #fff; text-decoration: none; }
+</style>
+</head>
+<body>
+<main>
+${imageUrl ? `<img src="${escapeHtml(imageUrl)}" alt="${escapeHtml(item.title)}">` : ''}
+<h1>${escapeHtml(item.title)}</h1>
+<p class="muted">${escapeHtml(description)}</p>
+<p>Produsul este disponibil. Intră în aplicație ca să îl revendici.</p>
+<a class="button" href="${escapeHtml(appUrl)}">Deschide Food Waste Tracker</a>
+</main>
+</body>
+</html>
+`;
+};
+
+const renderGonePage = (message = 'Acest link nu mai este disponibil.') => `<!doctype html>
+<html lang="ro">
+<head><meta charset="utf-8"><title>Link indisponibil</title><meta name="robots" content="noindex"></head>
+<body><p>${message}</p></body>
+</html>
+`;
+
+module.exports = { SHARE_NETWORKS, isCrawler, shareIntentUrls, renderSharePage, renderGonePage };
@@ -0,0 +1,49 @@
+// Pluggable file storage for uploaded photos. STORAGE_DRIVER selects the backend:
+//   local - files in UPLOAD_DIR (default server/uploads)
+// Every driver exposes the same async put(key, buffer, contentType), get(key) and remove(key);
+// get resolves to { body, contentType } or null. Keys are flat names chosen by the caller, so an
+// S3-compatible driver can map them straight to object keys.
+const fs = require('fs');
+const path = require('path');
+
+const CONTENT_TYPES = { '.webp': 'image/webp', '.jpg': 'image/jpeg', '.png': 'image/png' };
+
+const isValidKey = (key) => /^[a-z0-9][a-z0-9._-]*$/i.test(key) && !key.includes('..');
+
+const createLocalDriver = () => {
+  const dir = process.env.UPLOAD_DIR || path.join(__dirname, 'uploads');
+  const fileFor = (key) => {
+    if (!isValidKey(key)) throw new Error(`Invalid storage key "${key}"`);
+    return path.join(dir, key);
+  };
+  return {
+    name: 'local',
+    put: async (key, buffer) => {
+      await fs.promises.mkdir(dir, { recursive: true });
+      await fs.promises.writeFile(fileFor(key), buffer);
+    },
+    get: async (key) => {
+      if (!isValidKey(key)) return null;
+      try {
+        const body = await fs.promises.readFile(fileFor(key));
+        return { body, contentType: CONTENT_TYPES[path.extname(key)] || 'application/octet-stream' };
+      } catch (err) {
+        if (err.code === 'ENOENT') return null;
+        throw err;
+      }
+    },
+    remove: async (key) => {
+      await fs.promises.rm(fileFor(key), { force: true });
+    },
+  };
+};
+
+const drivers = { local: createLocalDriver };
+
+const createStorage = (name = process.env.STORAGE_DRIVER || 'local') => {
+  const factory = drivers[name];
+  if (!factory) throw new Error(`Unknown STORAGE_DRIVER "${name}" (expected ${Object.keys(drivers).join(', ')})`);
+  return factory();
+};
+
+module.exports = { createStorage };